@@ -0,0 +1,340 @@
+/**
+ * SemanticSchemas Hierarchy API Client
+ * ====================================
+ * Shared access to action=semanticschemas-hierarchy for the hierarchy
+ * widget and the form preview.
+ *
+ * - Payloads are cached per category + parents + depth, in memory and in
+ *   sessionStorage, for CACHE_TTL milliseconds; saving a category or
+ *   property page drops the cache, along with requests still in flight
+ * - Every caller gets its own copy of a payload, free to modify
+ * - Identical requests that are still in flight share one HTTP request
+ * - getHierarchies() fetches every uncached category in one batch request
+ * - Every returned promise has an abort() method; the HTTP request itself
+ *   is only aborted once all callers sharing it have aborted
+ *
+ * Exposes: mw.SemanticSchemasApi
+ *
+ * @param {Object} mw
+ * @param {jQuery} $
+ */
+
+( function ( mw, $ ) {
+	'use strict';
+
+	/* How long a payload is served from cache (ms) */
+	const CACHE_TTL = 5 * 60 * 1000;
+	const STORAGE_PREFIX = 'semanticschemas-hierarchy:';
+
+	/* key → { time, data } */
+	const memoryCache = {};
+
+	/* key → { promise, users, abort } */
+	const inFlight = {};
+
+	/* Bumped by clearCache(), so responses to older requests are not cached */
+	let generation = 0;
+
+	const normalize = ( title ) => String( title || '' ).trim()
+		.replace( /^Category:\s*/i, '' )
+		.replace( /_/g, ' ' );
+
+	/**
+	 * @param {string} category
+	 * @param {string[]} parents
+	 * @param {number|undefined} depth
+	 * @return {string}
+	 */
+	const cacheKey = ( category, parents, depth ) => JSON.stringify( [
+		normalize( category ),
+		parents.map( normalize ),
+		depth === undefined ? null : depth
+	] );
+
+	/**
+	 * Deep copy, so callers that merge nodes into a payload can't change
+	 * the cached one.
+	 *
+	 * @param {Object|undefined} data
+	 * @return {Object|undefined}
+	 */
+	const copy = ( data ) => data && $.extend( true, {}, data );
+
+	const isFresh = ( entry ) => !!entry && typeof entry.time === 'number' &&
+		Date.now() - entry.time < CACHE_TTL;
+
+	/**
+	 * Look up a cached payload, promoting sessionStorage hits into memory.
+	 *
+	 * @param {string} key
+	 * @return {Object|null} Payload, or null when missing or expired
+	 */
+	function readCache( key ) {
+		if ( isFresh( memoryCache[ key ] ) ) {
+			return memoryCache[ key ].data;
+		}
+		delete memoryCache[ key ];
+
+		const stored = mw.storage.session.getObject( STORAGE_PREFIX + key );
+		if ( !isFresh( stored ) ) {
+			if ( stored ) {
+				mw.storage.session.remove( STORAGE_PREFIX + key );
+			}
+			return null;
+		}
+		memoryCache[ key ] = stored;
+		return stored.data;
+	}
+
+	function writeCache( key, data ) {
+		const entry = { time: Date.now(), data: data };
+		memoryCache[ key ] = entry;
+		// Quota errors are swallowed by mw.storage; the memory copy still works
+		mw.storage.session.setObject( STORAGE_PREFIX + key, entry );
+	}
+
+	/**
+	 * Keep only the part of a graph map reachable from one category, so a
+	 * payload split out of a batch response looks like a single response.
+	 *
+	 * @param {Object} graph Shared node map
+	 * @param {string} root Full category title
+	 * @param {string} linkKey 'parents' or 'children'
+	 * @return {Object}
+	 */
+	function reachable( graph, root, linkKey ) {
+		const out = {};
+		const queue = [ root ];
+		while ( queue.length ) {
+			const title = queue.shift();
+			if ( out[ title ] || !graph[ title ] ) {
+				continue;
+			}
+			out[ title ] = graph[ title ];
+			queue.push.apply( queue, graph[ title ][ linkKey ] || [] );
+		}
+		return out;
+	}
+
+	/**
+	 * Send one API request answering one or more cache keys and register it
+	 * as in flight for each of them. The HTTP request is aborted once the
+	 * callers of every key have aborted.
+	 *
+	 * @param {string[]} keys
+	 * @param {Object} params API parameters
+	 * @param {Function} split Maps the response payload to { key: payload }
+	 */
+	function startRequest( keys, params, split ) {
+		const request = new mw.Api().get( params );
+		const payloads = request.then( ( data ) => split( data[ 'semanticschemas-hierarchy' ] ) );
+		const started = generation;
+		let open = keys.length;
+
+		payloads.done( ( byKey ) => {
+			if ( started !== generation ) {
+				return;
+			}
+			for ( const key of Object.keys( byKey ) ) {
+				if ( byKey[ key ] ) {
+					writeCache( key, byKey[ key ] );
+				}
+			}
+		} );
+
+		keys.forEach( ( key ) => {
+			const entry = {
+				promise: payloads.then( ( byKey ) => byKey[ key ] ),
+				users: 0,
+				abort: () => {
+					open--;
+					if ( open === 0 ) {
+						request.abort();
+					}
+				}
+			};
+			payloads.always( () => {
+				if ( inFlight[ key ] === entry ) {
+					delete inFlight[ key ];
+				}
+			} );
+			inFlight[ key ] = entry;
+		} );
+	}
+
+	/**
+	 * Hand out a promise for a cached or in-flight key. Aborting it rejects
+	 * only this caller's promise unless nobody else is waiting.
+	 *
+	 * @param {string} key
+	 * @return {jQuery.Promise}
+	 */
+	function subscribe( key ) {
+		const cached = readCache( key );
+		if ( cached ) {
+			return $.Deferred().resolve( copy( cached ) ).promise( { abort: () => {} } );
+		}
+
+		const entry = inFlight[ key ];
+		const deferred = $.Deferred();
+		entry.users++;
+		entry.promise.then( ( data ) => deferred.resolve( copy( data ) ), deferred.reject );
+
+		return deferred.promise( {
+			abort: () => {
+				if ( deferred.state() !== 'pending' ) {
+					return;
+				}
+				deferred.reject( 'abort' );
+				entry.users--;
+				if ( entry.users === 0 ) {
+					if ( inFlight[ key ] === entry ) {
+						delete inFlight[ key ];
+					}
+					entry.abort();
+				}
+			}
+		} );
+	}
+
+	mw.SemanticSchemasApi = {
+		/**
+		 * Fetch a hierarchy payload.
+		 *
+		 * @param {string} category Category name, with or without prefix
+		 * @param {Object} [options]
+		 * @param {string[]} [options.parents] Virtual parents (form preview mode)
+		 * @param {number} [options.depth] Level limit; omit for the complete hierarchy
+		 * @return {jQuery.Promise} Resolves with the `semanticschemas-hierarchy`
+		 *  payload; rejects with 'abort' after abort()
+		 */
+		getHierarchy: ( category, options ) => {
+			options = options || {};
+			const parents = options.parents || [];
+			const key = cacheKey( category, parents, options.depth );
+
+			if ( !readCache( key ) && !inFlight[ key ] ) {
+				const params = {
+					action: 'semanticschemas-hierarchy',
+					category: category,
+					format: 'json'
+				};
+				if ( parents.length ) {
+					params.parents = parents;
+				}
+				if ( options.depth !== undefined ) {
+					params.depth = options.depth;
+				}
+				startRequest( [ key ], params, ( payload ) => ( { [ key ]: payload } ) );
+			}
+
+			return subscribe( key );
+		},
+
+		/**
+		 * Fetch the hierarchies of several existing categories. Categories
+		 * that are neither cached nor in flight are requested together in
+		 * one batch request.
+		 *
+		 * @param {string[]} categories Category names, with or without prefix
+		 * @param {Object} [options]
+		 * @param {number} [options.depth] Level limit; omit for complete hierarchies
+		 * @return {jQuery.Promise} Resolves with { name: payload } for the names
+		 *  as passed in; abort() aborts every part
+		 */
+		getHierarchies: ( categories, options ) => {
+			options = options || {};
+			const keyOf = {};
+			const missing = {};
+
+			categories.forEach( ( category ) => {
+				const key = cacheKey( category, [], options.depth );
+				keyOf[ category ] = key;
+				if ( !readCache( key ) && !inFlight[ key ] ) {
+					missing[ normalize( category ) ] = key;
+				}
+			} );
+
+			const names = Object.keys( missing );
+			if ( names.length ) {
+				const params = {
+					action: 'semanticschemas-hierarchy',
+					category: names,
+					format: 'json'
+				};
+				if ( options.depth !== undefined ) {
+					params.depth = options.depth;
+				}
+				startRequest( names.map( ( name ) => missing[ name ] ), params, ( payload ) => {
+					if ( names.length === 1 ) {
+						return { [ missing[ names[ 0 ] ] ]: payload };
+					}
+					const byKey = {};
+					names.forEach( ( name ) => {
+						const entry = payload && payload.categories && payload.categories[ name ];
+						if ( !entry ) {
+							return;
+						}
+						byKey[ missing[ name ] ] = $.extend( {}, entry, {
+							nodes: reachable( payload.nodes || {}, entry.rootCategory, 'parents' ),
+							descendants: reachable(
+								payload.descendants || {},
+								entry.rootCategory,
+								'children'
+							)
+						} );
+					} );
+					return byKey;
+				} );
+			}
+
+			const parts = categories.map( ( category ) => subscribe( keyOf[ category ] ) );
+			return $.when.apply( $, parts ).then( function () {
+				const result = {};
+				categories.forEach( ( category, i ) => {
+					result[ category ] = arguments[ i ];
+				} );
+				return result;
+			} ).promise( {
+				abort: () => parts.forEach( ( part ) => part.abort() )
+			} );
+		},
+
+		/**
+		 * Drop every cached payload, e.g. after a category was saved. Requests
+		 * still in flight keep serving their callers, but later calls start
+		 * new ones and their responses are not cached.
+		 */
+		clearCache: () => {
+			generation++;
+			for ( const key of Object.keys( memoryCache ) ) {
+				delete memoryCache[ key ];
+			}
+			for ( const key of Object.keys( inFlight ) ) {
+				delete inFlight[ key ];
+			}
+			try {
+				for ( let i = sessionStorage.length - 1; i >= 0; i-- ) {
+					const name = sessionStorage.key( i );
+					if ( name && name.indexOf( STORAGE_PREFIX ) === 0 ) {
+						mw.storage.session.remove( name );
+					}
+				}
+			} catch ( e ) {
+				// Storage disabled; nothing was persisted
+			}
+		}
+	};
+
+	// The cache lives on across pages of the session; saving a category
+	// changes its payloads and those of every category related to it, and
+	// saving a property the details of every category using it
+	mw.hook( 'postEdit' ).add( () => {
+		const ids = mw.config.get( 'wgNamespaceIds' );
+		const ns = mw.config.get( 'wgNamespaceNumber' );
+		if ( ns === ids.category || ns === ids.property ) {
+			mw.SemanticSchemasApi.clearCache();
+		}
+	} );
+
+}( mw, jQuery ) );
@@ -6,7 +6,7 @@
  *   data-category  — the category name (same for all instances of that category)
  *   data-ancestors — pipe-separated list of ancestor category names (from C3 linearization)
  *
- * This script adds four behaviors:
+ * This script adds these behaviors:
  * 1. Multi-instance sync: categories with multiple parents appear in the tree
  *    multiple times. Checking one instance checks all others.
  * 2. Ancestor redundancy: when a child is selected, its ancestors are greyed out
@@ -15,6 +15,24 @@
  *    their children.
  * 4. Live search: typing in the search box filters the tree, auto-expanding
  *    parents to show matches and hiding non-matching items.
+ * 5. Keyboard navigation following the WAI-ARIA tree pattern (arrow keys,
+ *    Home/End, type-ahead; Space toggles the focused category's checkbox).
+ * 6. Page name validation while typing: shows the normalized full title in the
+ *    namespace of the selected namespace category, and whether the page
+ *    already exists, offering to load its categories if it does.
+ * 7. Field preview: a side panel listing the properties and subobjects the
+ *    selected categories give the page, merged and grouped by source category.
+ * 8. Required field values: inputs for the required properties of the
+ *    selection, of the type the generated form uses, with allowed-value
+ *    dropdowns and page suggestions. Values are submitted as s2-values[Name]
+ *    and merged into the page's template calls by the special page.
+ * 9. Selection shortcuts: a bar of the selected categories as removable chips,
+ *    admin-defined presets ($wgSemanticSchemasCreatePresets) and the author's
+ *    recently used categories (kept in localStorage), which tick their
+ *    categories following the ancestor and namespace rules of the tree.
+ * 10. Drafts: the page name, the added categories and the entered values are
+ *    saved per user in localStorage and restored on return, with an action to
+ *    discard them. Restored categories missing from the tree are reported.
  */
 ( () => {
 	'use strict';
@@ -23,6 +41,7 @@
 	if ( !grid ) {
 		return;
 	}
+	const R = mw.SemanticSchemasRenderers;
 
 	// Pre-build a map from category name → array of checkbox elements
 	// so that syncing multi-instance categories is O(1) lookup.
@@ -84,7 +103,7 @@
 					viaEl.className = 's2-create-cat-via';
 					item.querySelector( '.s2-create-cat-label' ).appendChild( viaEl );
 				}
-				viaEl.textContent = 'via ' + redundant[ catName ];
+				viaEl.textContent = mw.msg( 'semanticschemas-create-via', redundant[ catName ] );
 			} else {
 				item.classList.remove( 'is-redundant' );
 				// Don't re-enable checkboxes disabled because they're
@@ -135,7 +154,7 @@
 					conflictEl.className = 's2-create-cat-ns-conflict';
 					item.querySelector( '.s2-create-cat-label' ).appendChild( conflictEl );
 				}
-				conflictEl.textContent = 'conflicts with ' + selectedNsCat;
+				conflictEl.textContent = mw.msg( 'semanticschemas-create-ns-conflict', selectedNsCat );
 			} else {
 				item.classList.remove( 'is-ns-conflict' );
 				if ( !item.classList.contains( 'is-existing' ) &&
@@ -149,6 +168,42 @@
 		} );
 	}
 
+	/**
+	 * Show or hide the children of a tree item.
+	 *
+	 * @param {Element} item Row with the has-children class
+	 * @param {boolean} expanded
+	 */
+	function setExpanded( item, expanded ) {
+		// Children container is the next sibling after the item
+		const children = item.nextElementSibling;
+		if ( !children || !children.classList.contains( 's2-create-cat-children' ) ) {
+			return;
+		}
+		children.classList.toggle( 'is-collapsed', !expanded );
+		item.setAttribute( 'aria-expanded', String( expanded ) );
+		const toggle = item.querySelector( '.s2-create-cat-toggle' );
+		if ( toggle ) {
+			toggle.classList.toggle( 'is-open', expanded );
+		}
+	}
+
+	/**
+	 * Bring everything that depends on the selection up to date.
+	 */
+	function selectionChanged() {
+		updateAncestorState();
+		updateNamespaceConflicts();
+		// A namespace category changes where the page ends up
+		validatePageName();
+		scheduleFieldPreview();
+		renderChips();
+		updateShortcuts();
+		scheduleDraftSave();
+	}
+
+	const expandableItems = grid.querySelectorAll( '.s2-create-cat-item.has-children' );
+
 	// --- Event delegation on the grid container ---
 
 	grid.addEventListener( 'change', ( e ) => {
@@ -157,8 +212,7 @@
 			return;
 		}
 		syncInstances( cb.dataset.category, cb.checked );
-		updateAncestorState();
-		updateNamespaceConflicts();
+		selectionChanged();
 	} );
 
 	grid.addEventListener( 'click', ( e ) => {
@@ -169,16 +223,15 @@
 		e.preventDefault();
 		e.stopPropagation();
 
-		// Children container is the next sibling after the toggle's parent item
 		const item = toggle.closest( '.s2-create-cat-item' );
-		const children = item && item.nextElementSibling;
-		if ( !children || !children.classList.contains( 's2-create-cat-children' ) ) {
-			return;
+		if ( item ) {
+			setExpanded( item, item.getAttribute( 'aria-expanded' ) !== 'true' );
 		}
+	} );
 
-		const collapsed = !children.classList.contains( 'is-collapsed' );
-		children.classList.toggle( 'is-collapsed', collapsed );
-		toggle.classList.toggle( 'is-open', !collapsed );
+	mw.SemanticSchemasTreeNav.attach( grid, {
+		labelSelector: '.s2-create-cat-label strong',
+		setExpanded: setExpanded
 	} );
 
 	// --- Live search filtering ---
@@ -186,7 +239,6 @@
 	const searchInput = document.getElementById( 's2-cat-search' );
 	const allItems = grid.querySelectorAll( '.s2-create-cat-item' );
 	const allChildContainers = grid.querySelectorAll( '.s2-create-cat-children' );
-	const allToggles = grid.querySelectorAll( '.s2-create-cat-toggle' );
 
 	function filterTree( query ) {
 		query = query.toLowerCase().trim();
@@ -199,11 +251,8 @@
 			} );
 			allChildContainers.forEach( ( container ) => {
 				container.classList.remove( 's2-search-hidden' );
-				container.classList.remove( 'is-collapsed' );
-			} );
-			allToggles.forEach( ( toggle ) => {
-				toggle.classList.add( 'is-open' );
 			} );
+			expandableItems.forEach( ( item ) => setExpanded( item, true ) );
 			return;
 		}
 
@@ -263,26 +312,818 @@
 			);
 			if ( hasVisible ) {
 				container.classList.remove( 's2-search-hidden' );
-				container.classList.remove( 'is-collapsed' );
 			} else {
 				container.classList.add( 's2-search-hidden' );
 			}
 		} );
 
-		// Expand all toggles when searching
-		allToggles.forEach( ( toggle ) => {
-			toggle.classList.add( 'is-open' );
-		} );
+		// Expand everything when searching
+		expandableItems.forEach( ( item ) => setExpanded( item, true ) );
 	}
 
 	searchInput.addEventListener( 'input', () => {
 		filterTree( searchInput.value );
 	} );
 
-	// Set initial toggle state (all open) and compute initial redundancy
-	grid.querySelectorAll( '.s2-create-cat-toggle' ).forEach( ( toggle ) => {
-		toggle.classList.add( 'is-open' );
+	// --- Page name validation ---
+
+	const pageNameInput = document.getElementById( 's2-page-name' );
+	const pageNameStatus = document.getElementById( 's2-page-name-status' );
+	const PAGE_CHECK_DELAY = 300; // Debounce delay (ms) before asking the API
+	const pageInfoCache = {}; // Prefixed title → promise of { exists, categories }
+	let pageCheckTimer = null;
+
+	/**
+	 * Namespace the page will be created in, as processCreatePage decides
+	 * it: that of the checked category with a target namespace, else main.
+	 *
+	 * @return {number}
+	 */
+	function targetNamespace() {
+		const nsCb = Array.prototype.find.call(
+			checkboxes,
+			( cb ) => cb.checked && cb.dataset.namespace
+		);
+		// The index is resolved on the server, the same way as on submit
+		return nsCb ? Number( nsCb.dataset.namespaceIndex ) || 0 : 0;
+	}
+
+	const namespaceName = ( ns ) => ns === 0 ?
+		mw.msg( 'blanknamespace' ) :
+		mw.config.get( 'wgFormattedNamespaces' )[ ns ];
+
+	/**
+	 * Look up whether a page exists and which categories it is in.
+	 *
+	 * @param {mw.Title} title
+	 * @return {jQuery.Promise} Resolves with { exists, categories[] }
+	 */
+	function fetchPageInfo( title ) {
+		const key = title.getPrefixedText();
+		if ( !pageInfoCache[ key ] ) {
+			pageInfoCache[ key ] = new mw.Api().get( {
+				action: 'query',
+				titles: key,
+				prop: 'categories',
+				cllimit: 'max',
+				formatversion: 2
+			} ).then( ( data ) => {
+				const page = data.query.pages[ 0 ];
+				return {
+					exists: !page.missing && !page.invalid,
+					categories: ( page.categories || [] ).map(
+						( cat ) => mw.Title.newFromText( cat.title ).getMainText()
+					)
+				};
+			} );
+			// Let a later attempt retry after network errors
+			pageInfoCache[ key ].fail( () => {
+				delete pageInfoCache[ key ];
+			} );
+		}
+		return pageInfoCache[ key ];
+	}
+
+	/**
+	 * Append one line to the status below the page name.
+	 *
+	 * @param {string|null} type 'error', 'warning', 'ok' or null for plain
+	 * @param {string} text
+	 * @return {Element} The line
+	 */
+	function addStatusLine( type, text ) {
+		const line = document.createElement( 'div' );
+		line.className = 's2-page-name-status-line';
+		if ( type ) {
+			// Classes that can be used here:
+			// * is-error
+			// * is-warning
+			// * is-ok
+			line.classList.add( 'is-' + type );
+		}
+		line.textContent = text;
+		pageNameStatus.appendChild( line );
+		return line;
+	}
+
+	/**
+	 * Say whether the page exists; for an existing page with categories from
+	 * the tree, link to this page in "add category" mode with them loaded.
+	 *
+	 * @param {Element} line Status line to fill
+	 * @param {mw.Title} title
+	 * @param {Object} info Result of fetchPageInfo()
+	 */
+	function showPageInfo( line, title, info ) {
+		if ( !info.exists ) {
+			line.className = 's2-page-name-status-line is-ok';
+			line.textContent = mw.msg( 'semanticschemas-create-title-available' );
+			return;
+		}
+
+		line.className = 's2-page-name-status-line is-warning';
+		line.textContent = mw.msg( 'semanticschemas-create-title-exists' ) + ' ';
+		const view = document.createElement( 'a' );
+		view.href = title.getUrl();
+		view.textContent = mw.msg( 'semanticschemas-create-title-view' );
+		line.appendChild( view );
+
+		const managed = info.categories.filter( ( name ) => byCategoryName[ name ] );
+		if ( managed.length ) {
+			const load = document.createElement( 'a' );
+			load.className = 'cdx-button s2-page-name-load';
+			load.href = mw.util.getUrl( mw.config.get( 'wgPageName' ), {
+				's2-page-name': title.getPrefixedText(),
+				's2-existing': managed.join( '|' )
+			} );
+			load.textContent = mw.msg( 'semanticschemas-create-title-load-categories', managed.length );
+			pageNameStatus.appendChild( load );
+		}
+	}
+
+	/**
+	 * Normalize the typed page name and report problems. Invalid names also
+	 * block submitting the form through the input's validity.
+	 */
+	function validatePageName() {
+		if ( !pageNameInput || !pageNameStatus || pageNameInput.readOnly ) {
+			return;
+		}
+		clearTimeout( pageCheckTimer );
+		pageNameStatus.textContent = '';
+		pageNameInput.setCustomValidity( '' );
+
+		const text = pageNameInput.value.trim();
+		pageNameStatus.dataset.title = '';
+		if ( !text ) {
+			return;
+		}
+
+		const ns = targetNamespace();
+		const title = mw.Title.newFromText( text, ns );
+		if ( !title || title.getNamespaceId() < 0 ) {
+			const invalid = mw.msg( 'semanticschemas-create-invalid-title' );
+			pageNameInput.setCustomValidity( invalid );
+			addStatusLine( 'error', invalid );
+			return;
+		}
+
+		const fullTitle = title.getPrefixedText();
+		pageNameStatus.dataset.title = fullTitle;
+		addStatusLine( null, mw.msg( 'semanticschemas-create-title-full', fullTitle ) );
+		if ( title.getNamespaceId() !== ns ) {
+			addStatusLine( 'warning', mw.msg(
+				'semanticschemas-create-title-wrong-namespace',
+				namespaceName( title.getNamespaceId() ),
+				namespaceName( ns )
+			) );
+		}
+
+		const line = addStatusLine( null, mw.msg( 'semanticschemas-create-title-checking' ) );
+		pageCheckTimer = setTimeout( () => {
+			fetchPageInfo( title ).then( ( info ) => {
+				// Ignore answers for a name that has since been changed
+				if ( pageNameStatus.dataset.title === fullTitle ) {
+					showPageInfo( line, title, info );
+				}
+			}, () => {
+				if ( pageNameStatus.dataset.title === fullTitle ) {
+					line.textContent = mw.msg( 'semanticschemas-create-title-check-failed' );
+				}
+			} );
+		}, PAGE_CHECK_DELAY );
+	}
+
+	if ( pageNameInput ) {
+		pageNameInput.addEventListener( 'input', () => {
+			validatePageName();
+			scheduleDraftSave();
+		} );
+	}
+
+	// --- Field preview of the selected categories ---
+
+	const fieldPanel = document.getElementById( 's2-create-fields' );
+	const FIELD_PREVIEW_DELAY = 300; // Debounce delay (ms) after the selection changes
+	let fieldPreviewTimer = null;
+	let fieldPreviewRequest = null; // Batch request still in flight, if any
+
+	/**
+	 * @return {string[]} Checked categories, each once (including those
+	 *  already on the page)
+	 */
+	function selectedCategories() {
+		const names = [];
+		checkboxes.forEach( ( cb ) => {
+			if ( cb.checked && names.indexOf( cb.dataset.category ) === -1 ) {
+				names.push( cb.dataset.category );
+			}
+		} );
+		return names;
+	}
+
+	/**
+	 * Merge one inherited field list of several hierarchy payloads. A field
+	 * inherited through more than one category is listed once, as required
+	 * when any of them requires it.
+	 *
+	 * @param {Object[]} payloads
+	 * @param {string} listKey 'inheritedProperties' or 'inheritedSubobjects'
+	 * @param {string} titleKey 'propertyTitle' or 'subobjectTitle'
+	 * @return {Object[]}
+	 */
+	function mergeFields( payloads, listKey, titleKey ) {
+		const byTitle = {};
+		const order = [];
+		payloads.forEach( ( data ) => {
+			( data[ listKey ] || [] ).forEach( ( entry ) => {
+				const title = entry[ titleKey ] || '';
+				const seen = byTitle[ title ];
+				if ( !seen ) {
+					byTitle[ title ] = entry;
+					order.push( title );
+				} else if ( !R.isRequired( seen.required ) && R.isRequired( entry.required ) ) {
+					byTitle[ title ] = entry;
+				}
+			} );
+		} );
+		return order.map( ( title ) => byTitle[ title ] );
+	}
+
+	/**
+	 * @param {Object[]} payloads Hierarchy payloads of the selected categories
+	 */
+	function renderFieldPreview( payloads ) {
+		const props = mergeFields( payloads, 'inheritedProperties', 'propertyTitle' );
+		const subobjects = mergeFields( payloads, 'inheritedSubobjects', 'subobjectTitle' );
+		const required = props.filter( ( p ) => R.isRequired( p.required ) ).length;
+
+		$( fieldPanel ).empty().append(
+			$( '<p>' ).addClass( 's2-create-fields-summary' ).text( mw.msg(
+				'semanticschemas-create-fields-summary',
+				required,
+				props.length - required,
+				subobjects.length
+			) ),
+			$( '<h4>' ).text( mw.msg( 'semanticschemas-create-fields-properties' ) ),
+			R.renderPropertiesByCategory( props ),
+			$( '<h4>' ).text( mw.msg( 'semanticschemas-create-fields-subobjects' ) ),
+			R.renderSubobjects( subobjects )
+		);
+		renderValueInputs( props );
+	}
+
+	/**
+	 * Fetch the hierarchies of the selected categories in one batch request
+	 * and show their combined fields. Stale requests are aborted.
+	 */
+	function updateFieldPreview() {
+		clearTimeout( fieldPreviewTimer );
+		if ( fieldPreviewRequest ) {
+			fieldPreviewRequest.abort();
+			fieldPreviewRequest = null;
+		}
+
+		const names = selectedCategories();
+		if ( !names.length ) {
+			R.renderEmpty( $( fieldPanel ), mw.msg( 'semanticschemas-create-fields-empty' ) );
+			renderValueInputs( [] );
+			return;
+		}
+
+		$( fieldPanel ).addClass( 's2-hierarchy-loading' );
+		const request = mw.SemanticSchemasApi.getHierarchies( names, { depth: 0 } );
+		fieldPreviewRequest = request;
+
+		request.then( ( byName ) => {
+			renderFieldPreview( names.map( ( name ) => byName[ name ] ).filter( Boolean ) );
+		}, ( code ) => {
+			if ( code !== 'abort' ) {
+				$( fieldPanel ).empty().append( $( '<p>' ).addClass( 'error' )
+					.text( mw.msg( 'semanticschemas-create-fields-error' ) ) );
+			}
+		} ).always( () => {
+			if ( fieldPreviewRequest === request ) {
+				fieldPreviewRequest = null;
+				$( fieldPanel ).removeClass( 's2-hierarchy-loading' );
+			}
+		} );
+	}
+
+	function scheduleFieldPreview() {
+		if ( !fieldPanel ) {
+			return;
+		}
+		clearTimeout( fieldPreviewTimer );
+		fieldPreviewTimer = setTimeout( updateFieldPreview, FIELD_PREVIEW_DELAY );
+	}
+
+	// --- Values of the required fields ---
+
+	const valuesFieldset = document.querySelector( '.s2-create-values' );
+	const valuesBody = document.getElementById( 's2-create-values' );
+	const SUGGEST_DELAY = 250; // Debounce delay (ms) before asking for page suggestions
+	const SUGGEST_LIMIT = 10;
+	const enteredValues = {}; // Property name → value, kept while the selection changes
+	const suggestionCache = {}; // Serialized query → promise of page names
+	let suggestTimer = null;
+
+	/* HTML input type used for each single-line PageForms input */
+	const VALUE_TEXT_TYPES = {
+		text: 'text',
+		number: 'number',
+		datepicker: 'date',
+		combobox: 'text',
+		tokens: 'text'
+	};
+
+	/**
+	 * Build an input for one property, of the type the generated form uses.
+	 *
+	 * @param {Object} p Inherited property entry from the API
+	 * @param {string} id Id for the input
+	 * @return {jQuery}
+	 */
+	function buildValueInput( p, id ) {
+		const name = R.stripPrefix( p.propertyTitle, 'Property' );
+		const value = enteredValues[ name ] || '';
+		// FormGenerator treats properties without a page as Page-typed → combobox
+		let type = p.inputType || 'combobox';
+		if ( type === 'dropdown' && !( p.allowedValues || [] ).length ) {
+			type = 'text';
+		}
+		let $input;
+
+		if ( type === 'dropdown' ) {
+			$input = $( '<select>' ).append(
+				$( '<option>' ).val( '' ),
+				p.allowedValues.map( ( v ) => $( '<option>' ).val( v ).text( v ) )
+			).val( value );
+		} else if ( type === 'checkbox' ) {
+			// Unchecked boxes are not submitted, leaving the form's default
+			$input = $( '<input>' ).attr( { type: 'checkbox', value: 'Yes' } )
+				.prop( 'checked', value === 'Yes' );
+		} else if ( type === 'textarea' ) {
+			$input = $( '<textarea>' ).attr( 'rows', 3 ).val( value );
+		} else {
+			$input = $( '<input>' ).attr( 'type', VALUE_TEXT_TYPES[ type ] || 'text' ).val( value );
+			if ( type === 'combobox' || type === 'tokens' ) {
+				$input.attr( { list: id + '-suggestions', autocomplete: 'off' } );
+			}
+		}
+
+		// Classes that can be used here: s2-create-value-input-<PageForms input type>
+		return $input
+			.attr( { id: id, name: 's2-values[' + name + ']' } )
+			.addClass( 's2-create-value-input s2-create-value-input-' + type )
+			.data( 's2-property', p );
+	}
+
+	/**
+	 * Show inputs for the required, visible properties of the selection and
+	 * hide the section when there are none.
+	 *
+	 * @param {Object[]} props Merged inherited property entries
+	 */
+	function renderValueInputs( props ) {
+		if ( !valuesBody ) {
+			return;
+		}
+		const required = props.filter( ( p ) => R.isRequired( p.required ) && !p.hidden );
+
+		$( valuesBody ).empty().append( required.map( ( p, i ) => {
+			const id = 's2-value-' + i;
+			const $input = buildValueInput( p, id );
+			return $( '<div>' ).addClass( 's2-create-value' ).append(
+				$( '<label>' ).attr( 'for', id )
+					.text( p.label || R.stripPrefix( p.propertyTitle, 'Property' ) ),
+				$input,
+				$input.attr( 'list' ) ? $( '<datalist>' ).attr( 'id', id + '-suggestions' ) : null
+			);
+		} ) );
+		valuesFieldset.hidden = !required.length;
+	}
+
+	/**
+	 * Look up page names for an autocompleted input: members of its allowed
+	 * category, pages in its allowed namespace, or any page.
+	 *
+	 * @param {Object} p Inherited property entry
+	 * @param {string} term Text typed so far
+	 * @return {jQuery.Promise} Resolves with page names starting with the term
+	 */
+	function fetchSuggestions( p, term ) {
+		const nsIndex = p.allowedNamespace ? mw.config.get( 'wgNamespaceIds' )[
+			p.allowedNamespace.toLowerCase().replace( / /g, '_' )
+		] : undefined;
+		let query;
+		if ( p.allowedCategory ) {
+			// Members are not searchable by prefix; fetch once and filter here
+			query = { list: 'categorymembers', cmtitle: 'Category:' + p.allowedCategory, cmlimit: 'max' };
+		} else if ( nsIndex !== undefined ) {
+			query = { list: 'allpages', apnamespace: nsIndex, apprefix: term, aplimit: SUGGEST_LIMIT };
+		} else {
+			query = { list: 'prefixsearch', pssearch: term, pslimit: SUGGEST_LIMIT };
+		}
+
+		const key = JSON.stringify( query );
+		if ( !suggestionCache[ key ] ) {
+			suggestionCache[ key ] = new mw.Api().get( $.extend( {
+				action: 'query',
+				formatversion: 2
+			}, query ) ).then( ( data ) => ( data.query[ query.list ] || [] ).map(
+				// Pages from a namespace are entered without it, as PageForms does
+				( page ) => query.apnamespace !== undefined ?
+					mw.Title.newFromText( page.title ).getMainText() :
+					page.title
+			) );
+			suggestionCache[ key ].fail( () => {
+				delete suggestionCache[ key ];
+			} );
+		}
+
+		const lower = term.toLowerCase();
+		return suggestionCache[ key ].then( ( names ) => names
+			.filter( ( name ) => name.toLowerCase().indexOf( lower ) === 0 )
+			.slice( 0, SUGGEST_LIMIT )
+		);
+	}
+
+	/**
+	 * Fill the suggestion list of an autocompleted input. Token inputs
+	 * complete the value after the last comma.
+	 *
+	 * @param {HTMLInputElement} input
+	 */
+	function suggestValues( input ) {
+		const list = input.list;
+		const value = input.value;
+		const head = value.slice( 0, value.lastIndexOf( ',' ) + 1 );
+		const term = value.slice( head.length ).trim();
+		if ( !list || !term ) {
+			return;
+		}
+		const prefix = head ? head + ' ' : '';
+
+		fetchSuggestions( $( input ).data( 's2-property' ), term ).then( ( names ) => {
+			// Ignore answers for text that has since been changed
+			if ( input.value !== value ) {
+				return;
+			}
+			$( list ).empty().append(
+				names.map( ( name ) => $( '<option>' ).val( prefix + name ) )
+			);
+		} );
+	}
+
+	/**
+	 * Remember the value of a changed input for when the inputs are rebuilt.
+	 *
+	 * @param {Element} input
+	 * @return {boolean} Whether the element is one of the value inputs
+	 */
+	function rememberValue( input ) {
+		const p = $( input ).data( 's2-property' );
+		if ( !p ) {
+			return false;
+		}
+		enteredValues[ R.stripPrefix( p.propertyTitle, 'Property' ) ] = input.type === 'checkbox' ?
+			( input.checked ? 'Yes' : '' ) :
+			input.value;
+		scheduleDraftSave();
+		return true;
+	}
+
+	if ( valuesBody ) {
+		valuesBody.addEventListener( 'input', ( e ) => {
+			if ( rememberValue( e.target ) && e.target.list ) {
+				clearTimeout( suggestTimer );
+				suggestTimer = setTimeout( () => suggestValues( e.target ), SUGGEST_DELAY );
+			}
+		} );
+		// Older browsers report checkbox and select changes only through change
+		valuesBody.addEventListener( 'change', ( e ) => rememberValue( e.target ) );
+	}
+
+	// --- Selection chips, presets and recently used categories ---
+
+	const chipBar = document.getElementById( 's2-create-chips' );
+	const shortcuts = document.querySelector( '.s2-create-shortcuts' );
+	const recentRow = document.querySelector( '.s2-create-recent' );
+	const recentList = document.getElementById( 's2-create-recent-list' );
+	const RECENT_KEY = 'semanticschemas-create-recent:' + ( mw.config.get( 'wgUserName' ) || '' );
+	const RECENT_LIMIT = 8;
+
+	/**
+	 * @param {string} name
+	 * @return {string} Label the tree shows for the category
+	 */
+	function categoryLabel( name ) {
+		const item = byCategoryName[ name ][ 0 ].closest( '.s2-create-cat-item' );
+		const label = item && item.querySelector( '.s2-create-cat-label strong' );
+		return label ? label.textContent : name;
+	}
+
+	/**
+	 * @param {string} name
+	 * @return {boolean} Whether the category is on the page already and
+	 *  cannot be removed
+	 */
+	const isExisting = ( name ) => byCategoryName[ name ].some( ( cb ) => {
+		const item = cb.closest( '.s2-create-cat-item' );
+		return item && item.classList.contains( 'is-existing' );
+	} );
+
+	function renderChips() {
+		if ( !chipBar ) {
+			return;
+		}
+		const names = selectedCategories();
+		if ( !names.length ) {
+			$( chipBar ).empty().append( $( '<span>' ).addClass( 's2-create-chips-empty' )
+				.text( mw.msg( 'semanticschemas-create-chips-empty' ) ) );
+			return;
+		}
+		$( chipBar ).empty().append( names.map( ( name ) => {
+			const $chip = $( '<span>' ).addClass( 's2-create-chip' ).append(
+				$( '<span>' ).addClass( 's2-create-chip-label' ).text( categoryLabel( name ) )
+			);
+			if ( isExisting( name ) ) {
+				return $chip.addClass( 'is-existing' );
+			}
+			return $chip.append( $( '<button>' )
+				.attr( {
+					type: 'button',
+					'data-category': name,
+					'aria-label': mw.msg( 'semanticschemas-create-chip-remove', categoryLabel( name ) )
+				} )
+				.addClass( 's2-create-chip-remove' )
+				.text( '×' )
+			);
+		} ) );
+	}
+
+	/**
+	 * Tick several categories at once, as if the author ticked them in turn.
+	 * Ancestors of the other categories or of the selection are left out, as
+	 * the tree would grey them out.
+	 *
+	 * @param {string[]} names
+	 * @return {string[]} Categories that could not be ticked: not in the
+	 *  tree, or disabled by a namespace conflict
+	 */
+	function tickCategories( names ) {
+		const covered = {};
+		names.concat( selectedCategories() ).forEach( ( name ) => {
+			( byCategoryName[ name ] || [] ).forEach( ( cb ) => {
+				( cb.dataset.ancestors || '' ).split( '|' ).filter( Boolean )
+					.forEach( ( ancestor ) => {
+						covered[ ancestor ] = true;
+					} );
+			} );
+		} );
+
+		const skipped = [];
+		names.forEach( ( name ) => {
+			const cb = ( byCategoryName[ name ] || [] )[ 0 ];
+			if ( cb && ( cb.checked || covered[ name ] ) ) {
+				return;
+			}
+			if ( !cb || cb.disabled ) {
+				skipped.push( name );
+				return;
+			}
+			syncInstances( name, true );
+			// A namespace category rules out the other ones still to come
+			updateNamespaceConflicts();
+		} );
+		selectionChanged();
+		return skipped;
+	}
+
+	/**
+	 * @return {string[]} Recently used categories, most recent first
+	 */
+	function readRecent() {
+		const list = mw.storage.getObject( RECENT_KEY );
+		return Array.isArray( list ) ? list : [];
+	}
+
+	function renderRecent() {
+		if ( !recentList ) {
+			return;
+		}
+		const names = readRecent().filter( ( name ) => byCategoryName[ name ] );
+		$( recentList ).empty().append( names.map( ( name ) => $( '<button>' )
+			.attr( { type: 'button', 'data-categories': name } )
+			.addClass( 'cdx-button s2-create-recent-item' )
+			.text( categoryLabel( name ) )
+		) );
+		recentRow.hidden = !names.length;
+	}
+
+	/**
+	 * Disable shortcuts with nothing left to tick.
+	 */
+	function updateShortcuts() {
+		if ( !shortcuts ) {
+			return;
+		}
+		shortcuts.querySelectorAll( 'button[data-categories]' ).forEach( ( button ) => {
+			button.disabled = button.dataset.categories.split( '|' ).every( ( name ) => {
+				const cb = ( byCategoryName[ name ] || [] )[ 0 ];
+				return !cb || cb.checked || cb.disabled;
+			} );
+		} );
+	}
+
+	if ( chipBar ) {
+		chipBar.addEventListener( 'click', ( e ) => {
+			const button = e.target.closest( '.s2-create-chip-remove' );
+			if ( !button ) {
+				return;
+			}
+			syncInstances( button.dataset.category, false );
+			selectionChanged();
+			// The removed chip took the focus with it
+			const next = chipBar.querySelector( '.s2-create-chip-remove' );
+			( next || searchInput ).focus();
+		} );
+	}
+
+	if ( shortcuts ) {
+		shortcuts.addEventListener( 'click', ( e ) => {
+			const button = e.target.closest( 'button[data-categories]' );
+			if ( !button ) {
+				return;
+			}
+			const skipped = tickCategories( button.dataset.categories.split( '|' ) );
+			if ( skipped.length ) {
+				mw.notify(
+					mw.msg( 'semanticschemas-create-preset-skipped', skipped.join( ', ' ), skipped.length ),
+					{ type: 'warn' }
+				);
+			}
+		} );
+	}
+
+	// --- Drafts ---
+
+	const form = grid.closest( 'form' );
+	const DRAFT_KEY = 'semanticschemas-create-draft:' + ( mw.config.get( 'wgUserName' ) || '' );
+	const DRAFT_SAVE_DELAY = 500; // Debounce delay (ms) after the last change
+	const DRAFT_EXPIRY = 30 * 24 * 60 * 60; // Seconds a draft is kept
+	// Adding categories to an existing page starts from that page, not a draft
+	const draftsEnabled = !!pageNameInput && !pageNameInput.readOnly;
+	let draftTimer = null;
+	let draftNotice = null;
+
+	/**
+	 * Save the form, or remove the draft when there is nothing to keep.
+	 *
+	 * @param {boolean} [submitted] Whether the form is being submitted
+	 */
+	function saveDraft( submitted ) {
+		clearTimeout( draftTimer );
+		const values = {};
+		Object.keys( enteredValues ).forEach( ( name ) => {
+			if ( enteredValues[ name ] ) {
+				values[ name ] = enteredValues[ name ];
+			}
+		} );
+		const draft = {
+			pageName: pageNameInput.value.trim(),
+			categories: selectedCategories().filter( ( name ) => !isExisting( name ) ),
+			values: values,
+			saved: Date.now(),
+			submitted: !!submitted
+		};
+		if ( !draft.pageName && !draft.categories.length && !Object.keys( values ).length ) {
+			mw.storage.remove( DRAFT_KEY );
+			return;
+		}
+		mw.storage.setObject( DRAFT_KEY, draft, DRAFT_EXPIRY );
+	}
+
+	function scheduleDraftSave() {
+		if ( !draftsEnabled ) {
+			return;
+		}
+		clearTimeout( draftTimer );
+		draftTimer = setTimeout( saveDraft, DRAFT_SAVE_DELAY );
+	}
+
+	/**
+	 * Forget the draft and empty the form.
+	 */
+	function discardDraft() {
+		mw.storage.remove( DRAFT_KEY );
+		Object.keys( enteredValues ).forEach( ( name ) => {
+			delete enteredValues[ name ];
+		} );
+		selectedCategories().forEach( ( name ) => {
+			if ( !isExisting( name ) ) {
+				syncInstances( name, false );
+			}
+		} );
+		pageNameInput.value = '';
+		selectionChanged();
+		if ( draftNotice ) {
+			draftNotice.remove();
+			draftNotice = null;
+		}
+		pageNameInput.focus();
+	}
+
+	/**
+	 * Tell the author a draft was restored, with the categories that could
+	 * not be, and offer to discard it.
+	 *
+	 * @param {Object} draft
+	 * @param {string[]} missing Draft categories no longer in the tree
+	 * @param {string[]} skipped Draft categories the tree did not allow
+	 */
+	function showDraftNotice( draft, missing, skipped ) {
+		const $notice = $( '<div>' ).addClass( 's2-create-draft' ).attr( 'role', 'status' ).append(
+			$( '<p>' ).text( mw.msg(
+				'semanticschemas-create-draft-restored',
+				new Date( draft.saved ).toLocaleString( mw.config.get( 'wgUserLanguage' ) )
+			) )
+		);
+		if ( missing.length ) {
+			$notice.append( $( '<p>' ).addClass( 's2-create-draft-problem' ).text( mw.msg(
+				'semanticschemas-create-draft-missing', missing.join( ', ' ), missing.length
+			) ) );
+		}
+		if ( skipped.length ) {
+			$notice.append( $( '<p>' ).addClass( 's2-create-draft-problem' ).text( mw.msg(
+				'semanticschemas-create-preset-skipped', skipped.join( ', ' ), skipped.length
+			) ) );
+		}
+		$notice.append( $( '<button>' )
+			.attr( 'type', 'button' )
+			.addClass( 'cdx-button s2-create-draft-discard' )
+			.text( mw.msg( 'semanticschemas-create-draft-discard' ) )
+			.on( 'click', discardDraft )
+		);
+		draftNotice = $notice[ 0 ];
+		form.insertBefore( draftNotice, form.firstChild );
+	}
+
+	/**
+	 * Restore a saved draft into an untouched form.
+	 */
+	function restoreDraft() {
+		const draft = mw.storage.getObject( DRAFT_KEY );
+		if ( !draft || typeof draft !== 'object' ) {
+			return;
+		}
+		// A submitted draft only comes back when the submission failed: the
+		// special page then shows the form again below its error
+		if ( draft.submitted && !document.querySelector( '.cdx-message--error' ) ) {
+			mw.storage.remove( DRAFT_KEY );
+			return;
+		}
+		// Don't overwrite a form prefilled from the URL
+		const touched = pageNameInput.value.trim() !== '' ||
+			selectedCategories().some( ( name ) => !isExisting( name ) );
+		if ( touched ) {
+			return;
+		}
+
+		const names = Array.isArray( draft.categories ) ? draft.categories : [];
+		const missing = names.filter( ( name ) => !byCategoryName[ name ] );
+		$.extend( enteredValues, draft.values );
+		pageNameInput.value = draft.pageName || '';
+		const skipped = tickCategories( names.filter( ( name ) => byCategoryName[ name ] ) );
+		showDraftNotice( draft, missing, skipped );
+	}
+
+	form.addEventListener( 'submit', () => {
+		if ( draftsEnabled ) {
+			saveDraft( true );
+		}
+		// Remember the categories the author adds to a page
+		const added = selectedCategories().filter( ( name ) => !isExisting( name ) );
+		if ( added.length ) {
+			mw.storage.setObject( RECENT_KEY, added.concat(
+				readRecent().filter( ( name ) => added.indexOf( name ) === -1 )
+			).slice( 0, RECENT_LIMIT ) );
+		}
 	} );
+
+	// Set initial toggle state (all open) and compute initial redundancy
+	expandableItems.forEach( ( item ) => setExpanded( item, true ) );
+	renderRecent();
 	updateAncestorState();
 	updateNamespaceConflicts();
+	renderChips();
+	updateShortcuts();
+	if ( draftsEnabled ) {
+		restoreDraft();
+	}
+	validatePageName();
+	if ( fieldPanel ) {
+		updateFieldPreview();
+	}
 } )();
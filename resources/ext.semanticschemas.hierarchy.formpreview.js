@@ -8,17 +8,29 @@
  * - Makes API calls to compute inheritance hierarchy
  * - Displays a tree visualization of parent/child relationships
  * - Shows inherited properties and subobjects
- * - Auto-populates free text field with category membership tags
+ * - Mocks up the fields the generated form will have (FormGenerator layout)
+ * - Lists validation problems (cycles, missing parents, ...) next to the
+ *   parent field before the form is submitted
+ * - When editing an existing category, highlights inherited properties and
+ *   subobjects the new parents add or drop compared to the saved category,
+ *   and lists the subcategories whose inherited fields would change
+ * - Keeps [[Category:...]] tags for the parents in the free text field in
+ *   sync, leaving any other free text untouched
  *
  * Architecture:
  * - Automatically loads via {{#semanticschemas_load_form_preview:}}
- * - Finds parent field using data-parent-field attribute
+ * - Finds the parent field(s) using the data-parent-field attribute: tokens,
+ *   combobox, text and textarea inputs, also inside multiple-instance templates
  * - Debounces updates to avoid excessive API calls
- * - Renders using jQuery DOM manipulation
+ * - Fetches through the cached mw.SemanticSchemasApi client and aborts
+ *   stale requests, so slow responses never overwrite newer ones
+ * - Draws the tree, property lists and subobjects with the shared
+ *   mw.SemanticSchemasRenderers, like the hierarchy widget
  *
  * Requirements:
  * - Container div: <div id="s2-form-hierarchy-preview" data-parent-field="FIELD_NAME">
- * - PageForms tokens/combobox field for parent categories
+ *   (optionally data-category="NAME" when the category cannot be told from the page)
+ * - PageForms field for parent categories
  * - API endpoint: action=semanticschemas-hierarchy
  *
  * @param {Object} mw
@@ -30,7 +42,10 @@
 
 	// Configuration
 	let updateTimer = null;
+	let pendingRequest = null; // Preview request still in flight, if any
+	let savedHierarchy = null; // Promise of the saved category's hierarchy when editing one
 	const UPDATE_DELAY = 500; // Debounce delay (ms) after user stops typing
+	const R = mw.SemanticSchemasRenderers;
 	const DEBUG = false; // Enable for detailed console logging
 
 	/**
@@ -48,6 +63,14 @@
 	}
 	/* eslint-enable no-console */
 
+	/**
+	 * Hint shown while no parent category is selected.
+	 *
+	 * @return {jQuery}
+	 */
+	const emptyState = () => $( '<p>' ).addClass( 's2-hierarchy-empty' )
+		.text( mw.msg( 'semanticschemas-formpreview-empty' ) );
+
 	/**
 	 * Extract parent categories from the form field.
 	 *
@@ -56,15 +79,35 @@
 	 * - textarea (one per line)
 	 * - input field (single value)
 	 *
-	 * @param {jQuery} $field The parent category field
+	 * Several fields (one per multiple-instance template) are combined,
+	 * dropping duplicates.
+	 *
+	 * @param {jQuery} $fields The parent category field(s)
 	 * @return {Array} Array of parent category names
 	 */
-	function extractParentCategories( $field ) {
-		if ( !$field || $field.length === 0 ) {
+	function extractParentCategories( $fields ) {
+		if ( !$fields || $fields.length === 0 ) {
 			return [];
 		}
 
-		const value = $field.val();
+		const parents = [];
+		$fields.each( function () {
+			extractFieldValue( $( this ).val() ).forEach( ( parent ) => {
+				if ( parents.indexOf( parent ) === -1 ) {
+					parents.push( parent );
+				}
+			} );
+		} );
+		return parents;
+	}
+
+	/**
+	 * Split one field value into category names.
+	 *
+	 * @param {string|string[]|null} value Value of a single field
+	 * @return {string[]}
+	 */
+	function extractFieldValue( value ) {
 		const parents = [];
 
 		// Handle different field types
@@ -109,7 +152,7 @@
 	}
 
 	/**
-	 * Render a simple tree structure for the preview.
+	 * Render the inheritance tree, with the edited category as an unsaved root.
 	 *
 	 * @param {jQuery} $container Container element
 	 * @param {Object} hierarchyData Hierarchy data from API
@@ -118,258 +161,539 @@
 		const rootTitle = hierarchyData.rootCategory || null;
 
 		if ( !rootTitle || !hierarchyData.nodes || !hierarchyData.nodes[ rootTitle ] ) {
-			$container.empty().append(
-				$( '<p>' ).addClass( 's2-hierarchy-empty' ).text(
-					'No parents specified. Add parent categories to see the hierarchy preview.'
-				)
-			);
+			R.renderEmpty( $container, mw.msg( 'semanticschemas-formpreview-no-hierarchy' ) );
 			return;
 		}
 
-		/**
-		 * Recursively build tree node.
-		 *
-		 * @param {string} title Category title
-		 * @param {number} depth Current depth (for styling)
-		 * @return {jQuery|null} List item element or null
-		 */
-		function buildNode( title, depth ) {
-			const node = hierarchyData.nodes[ title ];
-			if ( !node ) {
-				return null;
-			}
+		R.renderTree( $container, hierarchyData, {
+			rootBadge: mw.msg( 'semanticschemas-formpreview-new-badge' )
+		} );
+	}
 
-			const displayName = title.replace( /^Category:/, '' );
-			const $li = $( '<li>' ).addClass( 's2-preview-node' );
-
-			// Mark the virtual (new) category
-			if ( title === rootTitle ) {
-				$li.addClass( 's2-preview-node-virtual' );
-				$li.append(
-					$( '<span>' )
-						.addClass( 's2-preview-node-label' )
-						.text( displayName + ' ' )
-						.append(
-							$( '<span>' ).addClass( 's2-preview-badge' ).text( '(new)' )
-						)
-				);
-			} else {
-				$li.append(
-					$( '<span>' )
-						.addClass( 's2-preview-node-label' )
-						.text( displayName )
-				);
-			}
+	/**
+	 * Render inherited properties grouped by type (required/optional),
+	 * followed by the inherited subobjects.
+	 *
+	 * @param {jQuery} $container Container element
+	 * @param {Object} hierarchyData Hierarchy data from API
+	 */
+	function renderPreviewProperties( $container, hierarchyData ) {
+		const props = hierarchyData.inheritedProperties || [];
+		const subobjects = hierarchyData.inheritedSubobjects || [];
 
-			// If this node has parents, create nested list
-			if ( Array.isArray( node.parents ) && node.parents.length > 0 ) {
-				const $ul = $( '<ul>' ).addClass( 's2-preview-tree-nested' );
+		if ( props.length === 0 ) {
+			R.renderEmpty( $container, mw.msg( 'semanticschemas-formpreview-no-properties' ) );
+		} else {
+			$container.empty().append( R.renderPropertiesByType( props ) );
+		}
 
-				node.parents.forEach( ( parentTitle ) => {
-					const $childNode = buildNode( parentTitle, depth + 1 );
-					if ( $childNode ) {
-						$ul.append( $childNode );
-					}
-				} );
+		$container.append(
+			$( '<div>' ).addClass( 's2-prop-type-section' ).append(
+				$( '<h4>' ).addClass( 's2-prop-type-heading' )
+					.text( mw.msg( 'semanticschemas-formpreview-subobjects', subobjects.length ) ),
+				R.renderSubobjects( subobjects )
+			)
+		);
+	}
 
-				$li.append( $ul );
-			}
+	/* =======================================================================
+	 * FORM MOCKUP
+	 *
+	 * Mirrors FormGenerator: required fields, then optional fields, then one
+	 * multiple-instance block per subobject. Input types come from the API,
+	 * which resolves them with PropertyInputMapper.
+	 * ======================================================================= */
+
+	/* HTML input type used to draw each single-line PageForms input */
+	const MOCK_TEXT_TYPES = {
+		text: 'text',
+		number: 'number',
+		datepicker: 'date',
+		combobox: 'text',
+		tokens: 'text'
+	};
 
-			return $li;
+	/**
+	 * Build a disabled stand-in for a PageForms input.
+	 *
+	 * @param {Object} p Inherited property entry from the API
+	 * @return {jQuery}
+	 */
+	function buildMockInput( p ) {
+		// FormGenerator treats properties without a page as Page-typed → combobox
+		const type = p.inputType || 'combobox';
+		let $input;
+
+		if ( type === 'dropdown' ) {
+			$input = $( '<select>' ).append(
+				$( '<option>' ),
+				( p.allowedValues || [] ).map( ( v ) => $( '<option>' ).text( v ) )
+			);
+		} else if ( type === 'checkbox' ) {
+			$input = $( '<input>' ).attr( 'type', 'checkbox' );
+		} else if ( type === 'textarea' ) {
+			$input = $( '<textarea>' ).attr( 'rows', 3 );
+		} else {
+			$input = $( '<input>' ).attr( 'type', MOCK_TEXT_TYPES[ type ] || 'text' );
+			const source = p.allowedCategory || p.allowedNamespace;
+			if ( source ) {
+				$input.attr( 'placeholder', mw.msg( 'semanticschemas-formpreview-values-from', source ) );
+			}
 		}
 
-		// Build and render the tree
-		const $rootList = $( '<ul>' ).addClass( 's2-preview-tree' );
-		const $rootNode = buildNode( rootTitle, 0 );
+		// Classes that can be used here: s2-form-mock-input-<PageForms input type>
+		$input
+			.addClass( 's2-form-mock-input s2-form-mock-input-' + type )
+			.prop( 'disabled', true );
+
+		return $( '<span>' ).addClass( 's2-form-mock-control' ).append(
+			$input,
+			$( '<code>' ).addClass( 's2-form-mock-type' ).text( type )
+		);
+	}
 
-		if ( $rootNode ) {
-			$rootList.append( $rootNode );
+	/**
+	 * Build the field table for one section.
+	 *
+	 * @param {Array} props Inherited property entries
+	 * @return {jQuery}
+	 */
+	function buildMockTable( props ) {
+		const $table = $( '<table>' ).addClass( 's2-form-mock-table' );
+
+		props.forEach( ( p ) => {
+			const required = R.isRequired( p.required );
+			const $label = $( '<th>' ).text(
+				p.label || R.stripPrefix( p.propertyTitle, 'Property' )
+			);
+			if ( required ) {
+				$label.append( $( '<span>' ).addClass( 's2-form-mock-required' ).text( ' *' ) );
+			}
+			if ( p.description ) {
+				$label.append( $( '<p>' ).addClass( 's2-form-mock-description' ).text( p.description ) );
+			}
+			$table.append( $( '<tr>' ).append( $label, $( '<td>' ).append( buildMockInput( p ) ) ) );
+		} );
+
+		return $table;
+	}
+
+	/**
+	 * Build the required and optional field sections, skipping hidden properties.
+	 *
+	 * @param {Array} props Inherited property entries
+	 * @return {jQuery[]}
+	 */
+	function buildMockSections( props ) {
+		const visible = props.filter( ( p ) => !p.hidden );
+		const required = visible.filter( ( p ) => R.isRequired( p.required ) );
+		const optional = visible.filter( ( p ) => !R.isRequired( p.required ) );
+
+		if ( visible.length === 0 ) {
+			return [
+				$( '<p>' ).addClass( 's2-hierarchy-empty' )
+					.text( mw.msg( 'semanticschemas-formpreview-no-fields' ) )
+			];
 		}
 
-		$container.empty().append( $rootList );
+		const $out = [];
+		// Messages that can be used here:
+		// * semanticschemas-formpreview-required-fields
+		// * semanticschemas-formpreview-optional-fields
+		[ [ required, 'required' ], [ optional, 'optional' ] ].forEach( ( group ) => {
+			if ( group[ 0 ].length === 0 ) {
+				return;
+			}
+			$out.push(
+				$( '<div>' ).addClass( 's2-form-mock-separator' )
+					.text( mw.msg( 'semanticschemas-formpreview-' + group[ 1 ] + '-fields' ) ),
+				buildMockTable( group[ 0 ] )
+			);
+		} );
+		return $out;
 	}
 
 	/**
-	 * Render inherited properties grouped by type (required/optional).
-	 * Reuses the same display logic as the main hierarchy visualization.
+	 * Render the form mockup for the virtual category. Subobject fields are
+	 * loaded afterwards in one batch request.
 	 *
 	 * @param {jQuery} $container Container element
+	 * @param {string} categoryName Name of the virtual category
 	 * @param {Object} hierarchyData Hierarchy data from API
 	 */
-	function renderPreviewProperties( $container, hierarchyData ) {
-		const props = hierarchyData.inheritedProperties || [];
+	function renderFormMockup( $container, categoryName, hierarchyData ) {
+		const $form = $( '<div>' ).addClass( 's2-form-mock' ).append(
+			$( '<div>' ).addClass( 's2-form-mock-title' ).text( categoryName ),
+			buildMockSections( hierarchyData.inheritedProperties || [] )
+		);
 
-		if ( props.length === 0 ) {
-			$container.empty().append(
-				$( '<p>' ).addClass( 's2-hierarchy-empty' ).text(
-					'No properties will be inherited.'
-				)
+		const subobjects = hierarchyData.inheritedSubobjects || [];
+		const names = subobjects.map(
+			( entry ) => R.stripPrefix( entry.subobjectTitle, 'Category' )
+		);
+		const $bodies = {};
+
+		subobjects.forEach( ( entry, i ) => {
+			const $body = $( '<div>' ).addClass( 's2-form-mock-subobject-body' ).append(
+				$( '<p>' ).addClass( 's2-hierarchy-loading' )
+					.text( mw.msg( 'semanticschemas-formpreview-loading-fields' ) )
+			);
+			$bodies[ names[ i ] ] = $body;
+
+			const $block = $( '<fieldset>' ).addClass( 's2-form-mock-subobject' ).append(
+				$( '<legend>' ).text( names[ i ] ),
+				$body,
+				$( '<button>' ).attr( 'type', 'button' ).prop( 'disabled', true )
+					.text( mw.msg( 'semanticschemas-formpreview-add-instance' ) )
 			);
+			if ( R.isRequired( entry.required ) ) {
+				$block.find( 'legend' ).append(
+					$( '<span>' ).addClass( 's2-form-mock-required' ).text( ' *' ),
+					' ',
+					$( '<span>' ).addClass( 's2-form-mock-min' )
+						.text( mw.msg( 'semanticschemas-formpreview-subobject-required' ) )
+				);
+			}
+			$form.append( $block );
+		} );
+
+		$container.empty().append( $form );
+
+		if ( names.length === 0 ) {
 			return;
 		}
 
-		// Separate required and optional
-		const required = [];
-		const optional = [];
+		mw.SemanticSchemasApi.getHierarchies( names ).done( ( byName ) => {
+			names.forEach( ( name ) => {
+				const props = ( byName[ name ] && byName[ name ].inheritedProperties ) || [];
+				$bodies[ name ].empty().append( buildMockSections( props ) );
+			} );
+		} ).fail( () => {
+			names.forEach( ( name ) => {
+				$bodies[ name ].empty().append(
+					$( '<p>' ).addClass( 's2-hierarchy-error' )
+						.text( mw.msg( 'semanticschemas-formpreview-fields-error' ) )
+				);
+			} );
+		} );
+	}
 
-		props.forEach( ( p ) => {
-			const isRequired = ( p.required === 1 || p.required === true );
-			if ( isRequired ) {
-				required.push( p );
-			} else {
-				optional.push( p );
+	/* =======================================================================
+	 * FREE TEXT CATEGORY TAGS
+	 * ======================================================================= */
+
+	/**
+	 * Letters of a text as case-insensitive character classes, so that one
+	 * part of a pattern can ignore case while the rest does not.
+	 *
+	 * @param {string} text
+	 * @return {string} Regular expression source
+	 */
+	const anyCase = ( text ) => text.split( '' )
+		.map( ( c ) => c.toUpperCase() !== c.toLowerCase() ?
+			'[' + c.toUpperCase() + c.toLowerCase() + ']' :
+			mw.util.escapeRegExp( c ) )
+		.join( '' );
+
+	/**
+	 * Category namespace names and aliases the wiki accepts in links, in
+	 * any case, as a regular expression alternation. Whitespace never
+	 * spans lines, so that a tag can be matched with its line.
+	 *
+	 * @return {string}
+	 */
+	function categoryNamespacePattern() {
+		const ids = mw.config.get( 'wgNamespaceIds' ) || {};
+		const names = Object.keys( ids ).filter( ( key ) => ids[ key ] === 14 );
+		if ( names.indexOf( 'category' ) === -1 ) {
+			names.push( 'category' );
+		}
+		return '(?:' + names.map( ( key ) => anyCase( key ).replace( /_/g, '[ \\t_]+' ) ).join( '|' ) + ')';
+	}
+
+	/**
+	 * Regular expression matching the [[Category:Name]] tag (with optional
+	 * sort key) of one category. Like MediaWiki, it treats spaces and
+	 * underscores alike, ignores the case of the namespace and of the first
+	 * letter of the name, and allows whitespace around both.
+	 *
+	 * @param {string} name Category name without prefix
+	 * @param {string} [flags]
+	 * @return {RegExp}
+	 */
+	function categoryTagPattern( name, flags ) {
+		const head = anyCase( name.charAt( 0 ) );
+		const rest = mw.util.escapeRegExp( name.slice( 1 ) ).replace( /[ _]+/g, '[ \\t_]+' );
+		return new RegExp(
+			'\\[\\[[ \\t_]*' + categoryNamespacePattern() + '[ \\t_]*:[ \\t_]*' + head + rest +
+				'[ \\t_]*(?:\\|[^\\]]*)?\\]\\]',
+			flags
+		);
+	}
+
+	const sameName = ( a, b ) => categoryTagPattern( a ).test( '[[Category:' + b + ']]' );
+
+	/**
+	 * Update the category tags this module manages in a free text value.
+	 *
+	 * Tags of parents that were removed since the last sync are deleted
+	 * (with their line when the tag stands alone on it); tags of new parents
+	 * are appended unless the text already has them. Everything else,
+	 * including tags the editor added by hand, is left as it was.
+	 *
+	 * @param {string} text Current free text
+	 * @param {string[]} previous Parents at the last sync
+	 * @param {string[]} parents Parents now
+	 * @return {Object} { text, added: string[], removed: string[] }
+	 */
+	function syncCategoryTags( text, previous, parents ) {
+		const added = [];
+		const removed = [];
+
+		previous.forEach( ( name ) => {
+			if ( parents.some( ( p ) => sameName( p, name ) ) ||
+				!categoryTagPattern( name ).test( text ) ) {
+				return;
+			}
+			const tag = categoryTagPattern( name ).source;
+			text = text
+				.replace( new RegExp( '^[ \\t]*' + tag + '[ \\t]*(?:\\n|$)', 'gm' ), '' )
+				.replace( categoryTagPattern( name, 'g' ), '' );
+			removed.push( name );
+		} );
+
+		parents.forEach( ( name ) => {
+			if ( categoryTagPattern( name ).test( text ) ) {
+				return;
+			}
+			if ( text !== '' && !/\n$/.test( text ) ) {
+				text += '\n';
+			}
+			text += '[[Category:' + name + ']]';
+			added.push( name );
+		} );
+
+		return { text: text, added: added, removed: removed };
+	}
+
+	/* =======================================================================
+	 * SAVED CATEGORY DIFF
+	 *
+	 * When an existing category is edited, the preview compares what it
+	 * inherits now with what it would inherit from the edited parents.
+	 * ======================================================================= */
+
+	/**
+	 * Titles of the properties and subobjects in a payload, split into the
+	 * ones declared by its root category and the ones from its ancestors.
+	 *
+	 * @param {Object} hierarchyData Hierarchy data from API
+	 * @return {{own: string[], properties: string[], subobjects: string[]}}
+	 */
+	function fieldTitles( hierarchyData ) {
+		const root = hierarchyData.rootCategory;
+		const titles = { own: [], properties: [], subobjects: [] };
+
+		( hierarchyData.inheritedProperties || [] ).forEach( ( p ) => {
+			if ( p.propertyTitle ) {
+				titles[ p.sourceCategory === root ? 'own' : 'properties' ].push( p.propertyTitle );
+			}
+		} );
+		( hierarchyData.inheritedSubobjects || [] ).forEach( ( entry ) => {
+			if ( entry.subobjectTitle ) {
+				titles[ entry.sourceCategory === root ? 'own' : 'subobjects' ].push( entry.subobjectTitle );
 			}
 		} );
+		return titles;
+	}
 
-		// Sort alphabetically within each group
-		const sortByTitle = function ( a, b ) {
-			const titleA = ( a.propertyTitle || '' ).toLowerCase();
-			const titleB = ( b.propertyTitle || '' ).toLowerCase();
-			return titleA.localeCompare( titleB );
+	/**
+	 * Compare the saved category's inheritance with the edited one.
+	 *
+	 * The category's own declarations are left out on both sides: the
+	 * virtual payload only has what the edited parents provide, so a field
+	 * the category declares as well as an ancestor would otherwise show up
+	 * as added.
+	 *
+	 * @param {Object} saved Payload of the saved category
+	 * @param {Object} edited Payload of the virtual (edited) category
+	 * @return {Object} added/removed lists of property and subobject titles
+	 */
+	function inheritanceDiff( saved, edited ) {
+		const before = fieldTitles( saved );
+		const after = fieldTitles( edited );
+		const inherited = ( title ) => before.own.indexOf( title ) === -1;
+		const missingFrom = ( list ) => ( title ) => list.indexOf( title ) === -1;
+		[ before, after ].forEach( ( side ) => {
+			side.properties = side.properties.filter( inherited );
+			side.subobjects = side.subobjects.filter( inherited );
+		} );
+
+		return {
+			addedProperties: after.properties.filter( missingFrom( before.properties ) ),
+			removedProperties: before.properties.filter( missingFrom( after.properties ) ),
+			addedSubobjects: after.subobjects.filter( missingFrom( before.subobjects ) ),
+			removedSubobjects: before.subobjects.filter( missingFrom( after.subobjects ) )
 		};
-		required.sort( sortByTitle );
-		optional.sort( sortByTitle );
+	}
 
-		const $propContainer = $( '<div>' ).addClass( 's2-prop-by-type' );
+	/**
+	 * Summarize the difference to the saved category and mark the added
+	 * entries in the rendered property list.
+	 *
+	 * @param {jQuery} $container Container for the summary
+	 * @param {jQuery} $propsContainer Rendered inherited properties
+	 * @param {Object} diff Result of inheritanceDiff()
+	 */
+	function renderInheritanceDiff( $container, $propsContainer, diff ) {
+		const added = diff.addedProperties.concat( diff.addedSubobjects );
+		const removed = diff.removedProperties.concat( diff.removedSubobjects );
+		const displayName = ( title ) => title.replace( /^(Property|Category):/, '' );
+
+		added.forEach( ( title ) => {
+			$propsContainer.find( 'a' ).filter( function () {
+				return $( this ).attr( 'title' ) === title;
+			} ).closest( 'li, tr' ).addClass( 's2-prop-added' );
+		} );
 
-		// Render required properties
-		if ( required.length > 0 ) {
-			const $requiredSection = $( '<div>' ).addClass( 's2-prop-type-section s2-prop-type-required-section' );
-			$requiredSection.append(
-				$( '<h4>' ).addClass( 's2-prop-type-heading' ).text( 'Required Properties (' + required.length + ')' )
+		if ( added.length === 0 && removed.length === 0 ) {
+			$container.empty().append(
+				$( '<p>' ).addClass( 's2-hierarchy-empty' )
+					.text( mw.msg( 'semanticschemas-formpreview-diff-none' ) )
 			);
+			return;
+		}
 
-			const $requiredList = $( '<ul>' ).addClass( 's2-prop-list s2-prop-list-by-type' );
-			required.forEach( ( p ) => {
-				const $li = $( '<li>' ).addClass( 's2-prop-required' );
-
-				const propertyTitle = p.propertyTitle || '';
-				if ( propertyTitle ) {
-					const propHref = mw.util.getUrl( propertyTitle );
-					const propDisplayName = propertyTitle.replace( /^Property:/, '' );
-					$li.append(
-						$( '<a>' )
-							.attr( 'href', propHref )
-							.attr( 'title', propertyTitle )
-							.text( propDisplayName )
-					);
-
-					// Add source category in parentheses
-					const sourceTitle = p.sourceCategory || '';
-					if ( sourceTitle ) {
-						const sourceDisplayName = sourceTitle.replace( /^Category:/, '' );
-						const sourceHref = mw.util.getUrl( sourceTitle );
-						$li.append(
-							' ',
-							$( '<span>' ).addClass( 's2-prop-source-label' ).append(
-								'(',
-								$( '<a>' )
-									.attr( 'href', sourceHref )
-									.attr( 'title', sourceTitle )
-									.text( sourceDisplayName ),
-								')'
-							)
-						);
-					}
-				} else {
-					$li.text( '(unnamed property)' );
-				}
+		const $list = $( '<ul>' ).addClass( 's2-preview-diff' );
+		if ( added.length ) {
+			$list.append( $( '<li>' ).addClass( 's2-preview-diff-added' ).text( mw.msg(
+				'semanticschemas-formpreview-diff-added',
+				mw.language.listToText( added.map( displayName ) ),
+				added.length
+			) ) );
+		}
+		if ( removed.length ) {
+			$list.append( $( '<li>' ).addClass( 's2-preview-diff-removed' ).text( mw.msg(
+				'semanticschemas-formpreview-diff-removed',
+				mw.language.listToText( removed.map( displayName ) ),
+				removed.length
+			) ) );
+		}
+		$container.empty().append( $list );
+	}
 
-				$requiredList.append( $li );
-			} );
-			$requiredSection.append( $requiredList );
-			$propContainer.append( $requiredSection );
+	/**
+	 * List the descendants whose inherited fields change with the edited
+	 * parents, with the number of fields each gains and loses.
+	 *
+	 * @param {jQuery} $container Container element
+	 * @param {Array} impact Entries from the API's `impact` list
+	 */
+	function renderImpact( $container, impact ) {
+		if ( impact.length === 0 ) {
+			$container.empty().append(
+				$( '<p>' ).addClass( 's2-hierarchy-empty' )
+					.text( mw.msg( 'semanticschemas-formpreview-impact-none' ) )
+			);
+			return;
 		}
 
-		// Render optional properties
-		if ( optional.length > 0 ) {
-			const $optionalSection = $( '<div>' ).addClass( 's2-prop-type-section s2-prop-type-optional-section' );
-			$optionalSection.append(
-				$( '<h4>' ).addClass( 's2-prop-type-heading' ).text( 'Optional Properties (' + optional.length + ')' )
+		const displayName = ( title ) => title.replace( /^(Property|Category):/, '' );
+		const badge = ( cls, key, titles ) => $( '<span>' )
+			// Classes that can be used here:
+			// * s2-preview-impact-added
+			// * s2-preview-impact-removed
+			.addClass( 's2-prop-badge ' + cls )
+			.attr( 'title', mw.language.listToText( titles.map( displayName ) ) )
+			// Messages that can be used here:
+			// * semanticschemas-formpreview-impact-added
+			// * semanticschemas-formpreview-impact-removed
+			.text( mw.msg( key, titles.length ) );
+
+		const $list = $( '<ul>' ).addClass( 's2-prop-list s2-preview-impact' );
+		impact.forEach( ( entry ) => {
+			const $li = $( '<li>' ).append(
+				$( '<a>' )
+					.attr( { href: mw.util.getUrl( entry.category ), title: entry.category } )
+					.text( displayName( entry.category ) )
 			);
 
-			const $optionalList = $( '<ul>' ).addClass( 's2-prop-list s2-prop-list-by-type' );
-			optional.forEach( ( p ) => {
-				const $li = $( '<li>' ).addClass( 's2-prop-optional' );
-
-				const propertyTitle = p.propertyTitle || '';
-				if ( propertyTitle ) {
-					const propHref = mw.util.getUrl( propertyTitle );
-					const propDisplayName = propertyTitle.replace( /^Property:/, '' );
-					$li.append(
-						$( '<a>' )
-							.attr( 'href', propHref )
-							.attr( 'title', propertyTitle )
-							.text( propDisplayName )
-					);
-
-					// Add source category in parentheses
-					const sourceTitle = p.sourceCategory || '';
-					if ( sourceTitle ) {
-						const sourceDisplayName = sourceTitle.replace( /^Category:/, '' );
-						const sourceHref = mw.util.getUrl( sourceTitle );
-						$li.append(
-							' ',
-							$( '<span>' ).addClass( 's2-prop-source-label' ).append(
-								'(',
-								$( '<a>' )
-									.attr( 'href', sourceHref )
-									.attr( 'title', sourceTitle )
-									.text( sourceDisplayName ),
-								')'
-							)
-						);
-					}
-				} else {
-					$li.text( '(unnamed property)' );
+			if ( entry.unresolvable ) {
+				$li.addClass( 's2-preview-impact-unresolvable' ).append(
+					' ',
+					$( '<span>' ).addClass( 's2-prop-badge' )
+						.text( mw.msg( 'semanticschemas-formpreview-impact-unresolvable' ) )
+				);
+			} else {
+				const added = entry.addedProperties.concat( entry.addedSubobjects );
+				const removed = entry.removedProperties.concat( entry.removedSubobjects );
+				if ( added.length ) {
+					$li.append( ' ', badge(
+						's2-preview-impact-added', 'semanticschemas-formpreview-impact-added', added
+					) );
 				}
+				if ( removed.length ) {
+					$li.append( ' ', badge(
+						's2-preview-impact-removed', 'semanticschemas-formpreview-impact-removed', removed
+					) );
+				}
+			}
+			$list.append( $li );
+		} );
 
-				$optionalList.append( $li );
-			} );
-			$optionalSection.append( $optionalList );
-			$propContainer.append( $optionalSection );
-		}
-
-		// Render subobject summary
-		const subobjects = hierarchyData.inheritedSubobjects || [];
-		const $subobjectSection = $( '<div>' ).addClass( 's2-prop-type-section' );
-		$subobjectSection.append(
-			$( '<h4>' ).addClass( 's2-prop-type-heading' ).text( 'Subobjects (' + subobjects.length + ')' )
+		$container.empty().append(
+			$( '<p>' ).text( mw.msg( 'semanticschemas-formpreview-impact-summary', impact.length ) ),
+			$list
 		);
+	}
 
-		if ( subobjects.length === 0 ) {
-			$subobjectSection.append(
-				$( '<p>' ).addClass( 's2-hierarchy-empty' ).text( 'No subobjects defined.' )
+	/* =======================================================================
+	 * VALIDATION
+	 * ======================================================================= */
+
+	/**
+	 * Show the problems the API found for the virtual category in the box
+	 * next to the parent field; an empty list hides the box.
+	 *
+	 * @param {Array} problems Entries with code, severity ('error'|'warning') and params
+	 */
+	function renderValidation( problems ) {
+		const $box = $( '#s2-form-preview-warnings' );
+		const $items = [];
+
+		( problems || [] ).forEach( ( problem ) => {
+			// Messages that can be used here:
+			// * semanticschemas-formpreview-problem-invalid-name
+			// * semanticschemas-formpreview-problem-self-parent
+			// * semanticschemas-formpreview-problem-missing-parent
+			// * semanticschemas-formpreview-problem-cycle
+			// * semanticschemas-formpreview-problem-inconsistent-order
+			// * semanticschemas-formpreview-problem-namespace-conflict
+			// * semanticschemas-formpreview-problem-missing-property
+			// * semanticschemas-formpreview-problem-missing-subobject
+			const message = mw.message(
+				'semanticschemas-formpreview-problem-' + problem.code,
+				...( problem.code === 'namespace-conflict' ?
+					[ mw.language.listToText( problem.params || [] ) ] :
+					( problem.params || [] ) )
 			);
-		} else {
-			const $subobjectList = $( '<ul>' ).addClass( 's2-prop-list s2-prop-list-by-type' );
-			subobjects.forEach( ( entry ) => {
-				const $li = $( '<li>' ).addClass( entry.required ? 's2-prop-required' : 's2-prop-optional' );
-				const subobjectTitle = entry.subobjectTitle || '';
-				if ( subobjectTitle ) {
-					const href = mw.util.getUrl( subobjectTitle );
-					const displayName = subobjectTitle.replace( /^Category:/, '' );
-					$li.append(
-						$( '<a>' )
-							.attr( 'href', href )
-							.attr( 'title', subobjectTitle )
-							.text( displayName )
-					);
-				} else {
-					$li.text( '(unnamed subobject)' );
-				}
-				$li.append(
-					' ',
-					$( '<span>' )
-						.addClass( 's2-prop-badge' )
-						.text( entry.required ? 'required' : 'optional' )
-				);
-				$subobjectList.append( $li );
-			} );
-			$subobjectSection.append( $subobjectList );
-		}
+			if ( !message.exists() ) {
+				return;
+			}
+			// Classes that can be used here:
+			// * s2-form-preview-problem-error
+			// * s2-form-preview-problem-warning
+			$items.push(
+				$( '<li>' )
+					.addClass( 's2-form-preview-problem s2-form-preview-problem-' + problem.severity )
+					.text( message.text() )
+			);
+		} );
 
-		$container.empty().append( $propContainer, $subobjectSection );
+		$box.empty().prop( 'hidden', $items.length === 0 );
+		if ( $items.length ) {
+			$box.append( $( '<ul>' ).append( $items ) );
+		}
 	}
 
 	/**
@@ -391,68 +715,189 @@
 			return;
 		}
 
+		// Whatever the previous request returns is already out of date
+		if ( pendingRequest ) {
+			pendingRequest.abort();
+			pendingRequest = null;
+		}
+
 		// If no parents, show empty state
 		if ( parentCategories.length === 0 ) {
 			debug( 'No parents selected, showing empty state' );
-			$previewContainer.html(
-				'<p class="s2-hierarchy-empty">Add parent categories to see what this category will inherit.</p>'
-			);
+			renderValidation( [] );
+			$previewContainer.empty().append( emptyState() );
 			return;
 		}
 
 		// Show loading state
 		debug( 'Making API call for hierarchy data' );
-		$previewContainer.html( '<p class="s2-hierarchy-loading">Loading preview...</p>' );
-
-		// Make API call
-		const api = new mw.Api();
-		const apiParams = {
-			action: 'semanticschemas-hierarchy',
-			category: categoryName,
-			parents: parentCategories.join( '|' ),
-			format: 'json'
-		};
+		$previewContainer.empty().append(
+			$( '<p>' ).addClass( 's2-hierarchy-loading' )
+				.text( mw.msg( 'semanticschemas-formpreview-loading' ) )
+		);
 
-		api.get( apiParams ).done( ( response ) => {
-			debug( 'API response received:', response );
+		// Make API call (served from cache when this parent set was seen before)
+		const request = mw.SemanticSchemasApi.getHierarchy( categoryName, {
+			parents: parentCategories
+		} );
+		pendingRequest = request;
+
+		request.always( () => {
+			if ( pendingRequest === request ) {
+				pendingRequest = null;
+			}
+		} );
+
+		request.done( ( data ) => {
+			debug( 'API response received:', data );
 
-			const data = response[ 'semanticschemas-hierarchy' ];
 			if ( !data ) {
 				// eslint-disable-next-line no-console
 				console.error( '[SemanticSchemas] No data in API response' );
-				$previewContainer.html( '<p class="s2-hierarchy-error">Error loading preview.</p>' );
+				$previewContainer.empty().append(
+					$( '<p>' ).addClass( 's2-hierarchy-error' )
+						.text( mw.msg( 'semanticschemas-formpreview-error' ) )
+				);
 				return;
 			}
 
+			renderValidation( data.validation );
+
 			// Build preview HTML
 			const $preview = $( '<div>' ).addClass( 's2-preview-wrapper' );
 
 			// Tree section
 			const $treeSection = $( '<div>' ).addClass( 's2-preview-section' );
-			$treeSection.append( $( '<h4>' ).text( 'Inheritance Hierarchy' ) );
+			$treeSection.append( $( '<h4>' ).text( mw.msg( 'semanticschemas-formpreview-tree-title' ) ) );
 			const $treeContainer = $( '<div>' ).addClass( 's2-preview-tree-container' );
 			renderPreviewTree( $treeContainer, data );
 			$treeSection.append( $treeContainer );
 
 			// Properties section
 			const $propsSection = $( '<div>' ).addClass( 's2-preview-section' );
-			$propsSection.append( $( '<h4>' ).text( 'Inherited Properties' ) );
+			$propsSection.append( $( '<h4>' ).text( mw.msg( 'semanticschemas-formpreview-props-title' ) ) );
 			const $propsContainer = $( '<div>' ).addClass( 's2-preview-props-container' );
 			renderPreviewProperties( $propsContainer, data );
 			$propsSection.append( $propsContainer );
 
-			$preview.append( $treeSection, $propsSection );
+			// Form mockup section
+			const $formSection = $( '<div>' ).addClass( 's2-preview-section' );
+			$formSection.append( $( '<h4>' ).text( mw.msg( 'semanticschemas-formpreview-form-title' ) ) );
+			const $formContainer = $( '<div>' ).addClass( 's2-preview-form-container' );
+			renderFormMockup( $formContainer, categoryName, data );
+			$formSection.append( $formContainer );
+
+			$preview.append( $treeSection, $propsSection, $formSection );
+
+			// Changes compared to the saved category, when editing one
+			if ( savedHierarchy ) {
+				const $diffSection = $( '<div>' ).addClass( 's2-preview-section' ).prop( 'hidden', true );
+				$diffSection.append( $( '<h4>' ).text( mw.msg( 'semanticschemas-formpreview-diff-title' ) ) );
+				const $diffContainer = $( '<div>' ).addClass( 's2-preview-diff-container' );
+				$diffSection.append( $diffContainer );
+				$treeSection.after( $diffSection );
+
+				savedHierarchy.done( ( saved ) => {
+					if ( saved ) {
+						renderInheritanceDiff(
+							$diffContainer,
+							$propsContainer,
+							inheritanceDiff( saved, data )
+						);
+						$diffSection.prop( 'hidden', false );
+					}
+				} );
+			}
+
+			// Subcategories affected by re-parenting an existing category
+			if ( data.impact ) {
+				const $impactSection = $( '<div>' ).addClass( 's2-preview-section' );
+				$impactSection.append( $( '<h4>' ).text( mw.msg( 'semanticschemas-formpreview-impact-title' ) ) );
+				const $impactContainer = $( '<div>' ).addClass( 's2-preview-impact-container' );
+				renderImpact( $impactContainer, data.impact );
+				$impactSection.append( $impactContainer );
+				$propsSection.before( $impactSection );
+			}
+
 			$previewContainer.empty().append( $preview );
 
 			debug( 'Preview rendered successfully' );
 
 		} ).fail( ( error ) => {
+			if ( error === 'abort' ) {
+				debug( 'Stale preview request aborted' );
+				return;
+			}
+			renderValidation( [] );
 			// eslint-disable-next-line no-console
 			console.error( '[SemanticSchemas] API call failed:', error );
-			$previewContainer.html( '<p class="s2-hierarchy-error">Error loading preview. Please check parent category names.</p>' );
+			$previewContainer.empty().append(
+				$( '<p>' ).addClass( 's2-hierarchy-error' )
+					.text( mw.msg( 'semanticschemas-formpreview-error-parents' ) )
+			);
+		} );
+	}
+
+	/**
+	 * Selector for the inputs of a PageForms field. Tokens and list boxes
+	 * are selects; text, combobox and textarea inputs are input/textarea.
+	 * Inside a template the name is "Template[field]" ("Template[n][field]"
+	 * in multiple-instance templates), tokens adding a trailing "[]".
+	 *
+	 * @param {string} field Field name
+	 * @param {boolean} [partial] Match any name containing the field name
+	 * @return {string}
+	 */
+	function parentFieldSelector( field, partial ) {
+		const patterns = partial ?
+			[ '[name*="' + field + '"]' ] :
+			[ '[name*="[' + field + ']"]', '[name="' + field + '"]' ];
+		const selectors = [];
+		[ 'select', 'input:not([type="hidden"])', 'textarea' ].forEach( ( tag ) => {
+			patterns.forEach( ( pattern ) => selectors.push( tag + pattern ) );
+		} );
+		return selectors.join( ', ' );
+	}
+
+	/**
+	 * Current parent fields, leaving out the hidden template that
+	 * PageForms copies for each new multiple-instance entry.
+	 *
+	 * @param {string} selector From parentFieldSelector()
+	 * @return {jQuery}
+	 */
+	function findParentFields( selector ) {
+		return $( selector ).filter( function () {
+			return $( this ).closest( '.multipleTemplateStarter' ).length === 0;
 		} );
 	}
 
+	/**
+	 * Name of the existing category being edited, if any: an explicit
+	 * data-category attribute, the page being edited, or the target page of
+	 * Special:FormEdit.
+	 *
+	 * @param {jQuery} $previewContainer
+	 * @return {string|null} Category name without prefix
+	 */
+	function detectCategoryName( $previewContainer ) {
+		const explicit = $previewContainer.data( 'category' );
+		if ( explicit ) {
+			return String( explicit ).replace( /^Category:/i, '' );
+		}
+
+		if ( mw.config.get( 'wgNamespaceNumber' ) === 14 ) {
+			return mw.config.get( 'wgTitle' );
+		}
+
+		const target = ( mw.util.getParamValue( 'target' ) || '' ).match( /^Category:(.+)$/i );
+		const path = window.location.pathname.match( /Category:([^/?#]+)/ );
+		if ( target || path ) {
+			return ( target ? target[ 1 ] : decodeURIComponent( path[ 1 ] ) ).replace( /_/g, ' ' );
+		}
+		return null;
+	}
+
 	/**
 	 * Initialize form preview functionality.
 	 *
@@ -489,72 +934,92 @@
 			return;
 		}
 
-		// Determine category name from URL or form field
-		let categoryName = 'NewCategory';
-		const matches = window.location.pathname.match( /Category:([^/]+)/ );
-		if ( matches && matches[ 1 ] ) {
-			categoryName = decodeURIComponent( matches[ 1 ] );
-		}
+		// Saving through the form does not always end in the postEdit hook,
+		// which is where the API client otherwise drops its cache
+		$( document ).on( 'submit', '#pfForm', () => mw.SemanticSchemasApi.clearCache() );
 
 		const $categoryNameField = $( 'input[name="page_name"], input[name="category_name"], input[name="Category"]' ).first();
-		if ( $categoryNameField.length > 0 && $categoryNameField.val() ) {
-			categoryName = $categoryNameField.val();
+		const pageCategory = detectCategoryName( $previewContainer );
+		const categoryName = pageCategory || $categoryNameField.val() || 'NewCategory';
+
+		// An existing category is compared against its saved hierarchy
+		if ( pageCategory ) {
+			savedHierarchy = mw.SemanticSchemasApi.getHierarchy( pageCategory ).then(
+				( data ) => ( data && !$.isEmptyObject( data.nodes ) ? data : null ),
+				() => $.Deferred().resolve( null ).promise()
+			);
 		}
 
-		// Find parent category field using data-parent-field attribute
-		let $parentField = null;
+		// Find parent category field(s) using data-parent-field attribute
 		const parentFieldId = $previewContainer.data( 'parent-field' );
-
 		debug( 'Looking for parent field:', parentFieldId );
-		debug( 'Available select fields:', $( 'select' ).map( function () {
-			return $( this ).attr( 'name' );
-		} ).get() );
-
-		if ( parentFieldId ) {
-			// PageForms tokens creates: <select name="Category[field_name][]" class="pfTokens">
-			// Try with brackets first (standard PageForms format)
-			const selector1 = 'select[name*="[' + parentFieldId + ']"]';
-			$parentField = $( selector1 ).first();
-			debug( 'Tried selector:', selector1, '- Found:', $parentField.length );
-
-			// If not found, try without brackets (edge case)
-			if ( $parentField.length === 0 ) {
-				const selector2 = 'select[name="' + parentFieldId + '"]';
-				$parentField = $( selector2 ).first();
-				debug( 'Tried selector:', selector2, '- Found:', $parentField.length );
-			}
-		}
 
-		// Fallback: auto-detect any field with "parent" in the name
-		if ( !$parentField || $parentField.length === 0 ) {
-			$parentField = $( 'select[name*="parent"]' ).first();
-			debug( 'Fallback detection - Found:', $parentField.length );
+		let parentSelector = parentFieldId ?
+			parentFieldSelector( parentFieldId ) :
+			parentFieldSelector( 'parent', true );
+		if ( parentFieldId && $( parentSelector ).length === 0 ) {
+			// Fallback: auto-detect any field with "parent" in the name
+			parentSelector = parentFieldSelector( 'parent', true );
 		}
-
-		// Cannot proceed without parent field
-		if ( !$parentField || $parentField.length === 0 ) {
-			let errorMsg = 'Could not find parent category field for preview.';
-			if ( parentFieldId ) {
-				errorMsg += ' Looking for field: ' + parentFieldId;
-			}
-			$previewContainer.html( '<p class="s2-hierarchy-empty">' + errorMsg + '</p>' );
+		debug( 'Parent field selector:', parentSelector );
+
+		// Cannot proceed without parent field. Fields inside multiple-instance
+		// templates may only appear later, so the hidden starter counts as well.
+		if ( $( parentSelector ).length === 0 ) {
+			$previewContainer.empty().append(
+				$( '<p>' ).addClass( 's2-hierarchy-empty' ).text( mw.msg(
+					'semanticschemas-formpreview-no-parent-field',
+					parentFieldId || 'parent'
+				) )
+			);
 			// eslint-disable-next-line no-console
 			console.error( '[SemanticSchemas] Parent field not found, preview disabled' );
 			return;
 		}
 
+		const $parentField = findParentFields( parentSelector ).first();
 		debug( 'Initialized for category:', categoryName, '- Parent field:', $parentField.attr( 'name' ) );
 
+		// Validation problems are listed right below the parent field
+		// (after the Select2 widget that replaces it visually, if any)
+		const $select2 = $parentField.next( '.select2-container' );
+		const $warnings = $( '<div>' )
+			.attr( {
+				id: 's2-form-preview-warnings',
+				role: 'status',
+				'aria-live': 'polite'
+			} )
+			.addClass( 's2-form-preview-warnings' )
+			.prop( 'hidden', true );
+		if ( $parentField.length ) {
+			$warnings.insertAfter( $select2.length ? $select2 : $parentField );
+		} else {
+			$warnings.insertBefore( $previewContainer );
+		}
+
 		// Find the free text field for automatic category tag injection
 		const $freeTextField = $( 'input[name="pf_free_text"], textarea[name="pf_free_text"]' ).first();
 		debug( 'Free text field found:', $freeTextField.length );
 
+		// Parents whose tags are currently managed; starts empty so the
+		// initial sync only adds tags that are missing
+		let taggedParents = [];
+
+		// Notice listing the last changes, next to the free text field when it
+		// is visible (generated forms hide it) or atop the preview otherwise
+		const $freeTextNotice = $( '<div>' )
+			.addClass( 's2-freetext-notice' )
+			.attr( { role: 'status', 'aria-live': 'polite' } )
+			.prop( 'hidden', true );
+		if ( $freeTextField.is( ':visible' ) ) {
+			$freeTextNotice.insertAfter( $freeTextField );
+		} else {
+			$freeTextNotice.insertBefore( $previewContainer );
+		}
+
 		/**
-		 * Update free text field with category membership tags.
-		 *
-		 * Automatically populates the free text field with [[Category:...]] tags
-		 * based on the selected parent categories, ensuring pages are properly
-		 * categorized when saved.
+		 * Sync the parents' [[Category:...]] tags into the free text field,
+		 * so pages are properly categorized when saved.
 		 */
 		function updateFreeText() {
 			if ( $freeTextField.length === 0 ) {
@@ -562,73 +1027,82 @@
 				return;
 			}
 
-			const parents = extractParentCategories( $parentField );
-			if ( parents.length === 0 ) {
-				$freeTextField.val( '' );
-				debug( 'Cleared free text field (no parents)' );
+			const parents = extractParentCategories( findParentFields( parentSelector ) );
+			const result = syncCategoryTags( $freeTextField.val() || '', taggedParents, parents );
+			taggedParents = parents;
+
+			if ( result.added.length === 0 && result.removed.length === 0 ) {
 				return;
 			}
 
-			// Build category links - one per line for readability
-			const categoryLinks = parents.map( ( parent ) => {
-				const cleanName = parent.replace( /^Category:\s*/i, '' );
-				return '[[Category:' + cleanName + ']]';
-			} );
+			$freeTextField.val( result.text );
+			debug( 'Updated free text field:', result );
 
-			const linkText = categoryLinks.join( '\n' );
-			$freeTextField.val( linkText );
-			debug( 'Updated free text field:', linkText );
+			const lines = [];
+			if ( result.added.length ) {
+				lines.push( mw.msg(
+					'semanticschemas-formpreview-freetext-added',
+					mw.language.listToText( result.added ),
+					result.added.length
+				) );
+			}
+			if ( result.removed.length ) {
+				lines.push( mw.msg(
+					'semanticschemas-formpreview-freetext-removed',
+					mw.language.listToText( result.removed ),
+					result.removed.length
+				) );
+			}
+			$freeTextNotice.text( lines.join( ' ' ) ).prop( 'hidden', false );
 		}
 
-		// Watch for changes to the parent field (debounced)
-		$parentField.on( 'change', () => {
-			debug( 'Parent field changed:', $parentField.val() );
-
+		/**
+		 * Re-render the preview and the free text tags after a short pause.
+		 *
+		 * @param {boolean} [syncFreeText=true] Whether the parents may have changed
+		 */
+		function scheduleUpdate( syncFreeText ) {
 			// Clear any pending update
 			if ( updateTimer !== null ) {
 				clearTimeout( updateTimer );
 			}
 
-			// Schedule debounced update
 			updateTimer = setTimeout( () => {
-				let currentCategory = categoryName;
-				if ( $categoryNameField.length > 0 && $categoryNameField.val() ) {
-					currentCategory = $categoryNameField.val();
-				}
-
-				const parents = extractParentCategories( $parentField );
+				updateTimer = null;
+				const currentCategory = $categoryNameField.val() || categoryName;
+				const parents = extractParentCategories( findParentFields( parentSelector ) );
 				debug( 'Updating preview - Category:', currentCategory, 'Parents:', parents );
 
-				// Update both the preview and the free text field
 				updatePreview( currentCategory, parents );
-				updateFreeText();
+				if ( syncFreeText !== false ) {
+					updateFreeText();
+				}
 			}, UPDATE_DELAY );
+		}
+
+		// Watch every parent field, including ones added later by
+		// multiple-instance templates; text inputs report each keystroke
+		$( document ).on( 'change input', parentSelector, () => scheduleUpdate() );
+		mw.hook( 'pf.addTemplateInstance' ).add( () => scheduleUpdate() );
+		$( document ).on( 'click', '.multipleTemplateInstance .removeButton', () => {
+			// PageForms removes the instance after its fade-out
+			setTimeout( scheduleUpdate, 500 );
 		} );
 
 		// Also watch the category name field if it exists (for page renames)
-		if ( $categoryNameField.length > 0 ) {
-			$categoryNameField.on( 'input change keyup', () => {
-				if ( updateTimer !== null ) {
-					clearTimeout( updateTimer );
-				}
-
-				updateTimer = setTimeout( () => {
-					const currentCategory = $categoryNameField.val() || categoryName;
-					const parents = extractParentCategories( $parentField );
-					updatePreview( currentCategory, parents );
-				}, UPDATE_DELAY );
-			} );
+		if ( !pageCategory && $categoryNameField.length > 0 ) {
+			$categoryNameField.on( 'input change keyup', () => scheduleUpdate( false ) );
 		}
 
 		// Perform initial render if parent categories are already selected
-		const initialParents = extractParentCategories( $parentField );
+		const initialParents = extractParentCategories( findParentFields( parentSelector ) );
 		if ( initialParents.length > 0 ) {
 			debug( 'Initial parents found, rendering preview' );
 			updatePreview( categoryName, initialParents );
 			updateFreeText();
 		} else {
 			// Show empty state
-			$previewContainer.html( '<p class="s2-hierarchy-empty">Add parent categories to see what this category will inherit.</p>' );
+			$previewContainer.empty().append( emptyState() );
 		}
 	}
 
@@ -1,13 +1,23 @@
 /**
  * SemanticSchemas Hierarchy Visualization
  * --------------------------------------
- * Modernized, modularized, and performance-optimized rewrite.
+ * The hierarchy widget of category pages, {{#semanticschemas_hierarchy:}}
+ * blocks and Special:SemanticSchemas/hierarchy.
  *
- * NOTE:
- * - No UI/UX changes
- * - Behavior identical to original
- * - Significantly reduced repetition
- * - Centralized helpers for links, titles, sorting, required flags
+ * - Ancestors or subcategories as a collapsible list or a layered graph
+ *   that can be panned and zoomed
+ * - Inherited properties by category or by type, with search, filters and
+ *   sorting, and inherited subobjects
+ * - The first levels are loaded up front, deeper branches when expanded;
+ *   several blocks on one page share one batch request
+ * - View state (tab, direction, view, expanded branches, filters) is kept
+ *   in the URL fragment, per block
+ * - Export as CSV, JSON, Mermaid or Graphviz DOT
+ * - Compare mode showing how two categories' effective schemas differ
+ * - Tree, property and subobject renderers are shared through
+ *   ext.semanticschemas.renderers (mw.SemanticSchemasRenderers)
+ *
+ * Exposes: mw.SemanticSchemasHierarchy
  *
  * @param {Object} mw
  * @param {jQuery} $
@@ -21,382 +31,1113 @@
 
 	const msg = ( name ) => mw.msg( name );
 
-	const stripPrefix = ( title, prefix ) => typeof title === 'string' ?
-		title.replace( new RegExp( '^' + prefix + ':' ), '' ) :
-		'';
-
-	const isRequired = ( val ) => val === 1 || val === true;
-
-	const buildLink = ( fullTitle, displayPrefix ) => {
-		if ( !fullTitle ) {
-			return $( '<span>' ).text( '—' );
-		}
-		const display = stripPrefix( fullTitle, displayPrefix );
-		return $( '<a>' )
-			.attr( 'href', mw.util.getUrl( fullTitle ) )
-			.attr( 'title', fullTitle )
-			.text( display );
-	};
+	const R = mw.SemanticSchemasRenderers;
+	const { stripPrefix, isRequired, buildLink, renderEmpty, mergeNodes } = R;
 
 	const sortedKeys = ( obj ) => Object.keys( obj ).sort( ( a, b ) => a.localeCompare( b ) );
 
 	const renderError = ( $c, m ) => $c.empty().append( $( '<p>' ).addClass( 'error' ).text( m ) );
 
-	const renderEmpty = ( $c, m ) => $c.empty().append( $( '<p>' ).addClass( 's2-hierarchy-empty' ).text( m ) );
-
 	/* =======================================================================
-	 * HIERARCHY TREE
+	 * DATA LOADING
 	 * ======================================================================= */
 
-	function renderHierarchyTree( $container, data ) {
-		const root = data.rootCategory;
-		const nodes = data.nodes || {};
+	/* Levels fetched up front; deeper branches are loaded when expanded */
+	const LAZY_DEPTH = 3;
 
-		if ( !root || !nodes[ root ] ) {
-			renderEmpty( $container, msg( 'semanticschemas-hierarchy-no-data' ) );
-			return;
-		}
+	/**
+	 * Fetch a hierarchy payload through the shared, cached API client.
+	 *
+	 * @param {string} title Category title (with or without prefix)
+	 * @param {number} [depth] Level limit; omit for the complete hierarchy
+	 * @return {jQuery.Promise} Resolves with the `semanticschemas-hierarchy` payload
+	 */
+	const fetchHierarchy = ( title, depth ) => mw.SemanticSchemasApi.getHierarchy(
+		title,
+		{ depth: depth }
+	);
 
-		/* Recursive builder */
-		const buildNode = ( title ) => {
-			const node = nodes[ title ];
-			if ( !node ) {
-				return null;
-			}
+	const isPartial = ( graph ) => Object.keys( graph || {} ).some( ( t ) => graph[ t ].hasMore );
 
-			const parents = Array.isArray( node.parents ) ? node.parents : [];
-			const $li = $( '<li>' );
-			const $content = $( '<span>' ).addClass( 's2-hierarchy-node-content' );
+	/* =======================================================================
+	 * URL STATE
+	 * ======================================================================= */
 
-			if ( parents.length ) {
-				$content.append(
-					$( '<span>' )
-						.addClass( 's2-hierarchy-toggle' )
-						.attr( { role: 'button', tabindex: 0, 'aria-expanded': 'true' } )
-						.text( '▼' )
-				);
-				$li.addClass( 's2-hierarchy-has-children' );
-			}
+	/* View state is kept in the fragment as s2-* keys so it survives reloads
+	 * and can be shared, e.g. #s2-category=PI&s2-tab=type&s2-collapsed=Faculty.
+	 * The first block on the page owns the s2- keys, later ones s2-2-, s2-3-…,
+	 * and anything else in the fragment is left alone. */
+	const URL_DEFAULTS = {
+		category: '',
+		tab: 'category',
+		direction: 'ancestors',
+		view: 'list',
+		collapsed: [],
+		expanded: [],
+		search: '',
+		required: '',
+		datatype: '',
+		sort: 'name'
+	};
 
-			$content.append( ' ', buildLink( title, 'Category' ) );
-			$li.append( $content );
+	const isListKey = ( key ) => Array.isArray( URL_DEFAULTS[ key ] );
+
+	const sameCategory = ( a, b ) => stripPrefix( String( a ), 'Category' ).replace( /_/g, ' ' ) ===
+		stripPrefix( String( b ), 'Category' ).replace( /_/g, ' ' );
+
+	/**
+	 * Fragment key prefix of the block rendered into `$root`.
+	 *
+	 * @param {jQuery} [$root]
+	 * @return {string}
+	 */
+	function urlPrefix( $root ) {
+		const $block = $root ? $root.closest( '.s2-hierarchy-block' ) : $();
+		const index = $( '.s2-hierarchy-block' ).index( $block );
+		return index > 0 ? 's2-' + ( index + 1 ) + '-' : 's2-';
+	}
 
-			if ( parents.length ) {
-				const $ul = $( '<ul>' ).addClass( 's2-hierarchy-tree-nested' );
-				for ( const p of parents ) {
-					const child = buildNode( p );
-					if ( child ) {
-						$ul.append( child );
-					}
-				}
-				$li.append( $ul );
+	/**
+	 * Split the URL fragment into its &-separated parts, telling this
+	 * block's view state keys apart from everything else.
+	 *
+	 * @param {string} prefix See urlPrefix()
+	 * @return {Object} { own: { key: raw value }, other: string[] }
+	 */
+	function splitFragment( prefix ) {
+		const own = {};
+		const other = [];
+		location.hash.slice( 1 ).split( '&' ).forEach( ( part ) => {
+			const eq = part.indexOf( '=' );
+			const key = part.slice( prefix.length, eq );
+			const isOwn = eq !== -1 && part.indexOf( prefix ) === 0 &&
+				Object.prototype.hasOwnProperty.call( URL_DEFAULTS, key );
+			if ( isOwn ) {
+				own[ key ] = part.slice( eq + 1 );
+			} else if ( part ) {
+				other.push( part );
 			}
+		} );
+		return { own: own, other: other };
+	}
 
-			return $li;
-		};
-
-		const $rootTree = $( '<ul>' ).addClass( 's2-hierarchy-tree' );
-		const $rootNode = buildNode( root );
-		if ( $rootNode ) {
-			$rootTree.append( $rootNode );
+	/**
+	 * Parse the view state keys present in the URL fragment.
+	 *
+	 * @param {string} [prefix='s2-'] See urlPrefix()
+	 * @return {Object} Subset of URL_DEFAULTS
+	 */
+	function readUrlState( prefix ) {
+		const own = splitFragment( prefix || 's2-' ).own;
+		const state = {};
+		for ( const key of Object.keys( own ) ) {
+			let value;
+			try {
+				value = decodeURIComponent( own[ key ].replace( /\+/g, '%20' ) );
+			} catch ( e ) {
+				continue;
+			}
+			if ( value ) {
+				state[ key ] = isListKey( key ) ? value.split( '|' ) : value;
+			}
 		}
+		return state;
+	}
 
-		$container.empty().append( $rootTree );
-
-		/* Toggle handlers */
-		$container.off( 'click.ssToggle keydown.ssToggle' );
-
-		$container.on( 'click.ssToggle', '.s2-hierarchy-toggle', function ( e ) {
-			e.preventDefault();
-			const $toggle = $( this );
-			const $li = $toggle.closest( 'li' );
-			const $nested = $li.children( '.s2-hierarchy-tree-nested' );
-
-			const expanded = $nested.is( ':visible' );
-			if ( expanded ) {
-				$nested.slideUp( 200 );
-				$toggle.text( '▶' ).attr( 'aria-expanded', 'false' );
-				$li.addClass( 's2-hierarchy-collapsed' );
+	/**
+	 * Initial view state for a block: what the URL holds if it was written
+	 * for the same category, the block's defaults otherwise.
+	 *
+	 * @param {string} title Category the block renders
+	 * @param {Object} [defaults] Block defaults overriding URL_DEFAULTS (e.g. tab)
+	 * @param {string} [prefix='s2-'] See urlPrefix()
+	 * @return {Object} Full view state; `defaults` and `prefix` are kept for writeUrlState()
+	 */
+	function viewStateFor( title, defaults, prefix ) {
+		const url = readUrlState( prefix );
+		const useUrl = sameCategory( url.category, title );
+		const state = {
+			defaults: $.extend( {}, URL_DEFAULTS, defaults ),
+			prefix: prefix || 's2-'
+		};
+		for ( const key of Object.keys( URL_DEFAULTS ) ) {
+			if ( useUrl && url[ key ] !== undefined ) {
+				state[ key ] = url[ key ];
 			} else {
-				$nested.slideDown( 200 );
-				$toggle.text( '▼' ).attr( 'aria-expanded', 'true' );
-				$li.removeClass( 's2-hierarchy-collapsed' );
+				state[ key ] = isListKey( key ) ? [] : state.defaults[ key ];
 			}
-		} );
+		}
+		state.category = stripPrefix( String( title ), 'Category' );
+		return state;
+	}
 
-		$container.on( 'keydown.ssToggle', '.s2-hierarchy-toggle', function ( e ) {
-			if ( e.key === 'Enter' || e.key === ' ' ) {
-				e.preventDefault();
-				$( this ).trigger( 'click' );
+	/**
+	 * Write the block's view state into the URL fragment, replacing its
+	 * earlier keys and keeping the rest of the fragment. The block's
+	 * defaults are left out to keep links short; the history entry is
+	 * replaced, not added.
+	 *
+	 * @param {Object} state See viewStateFor()
+	 */
+	function writeUrlState( state ) {
+		const defaults = state.defaults || URL_DEFAULTS;
+		const prefix = state.prefix || 's2-';
+		const parts = splitFragment( prefix ).other;
+		for ( const key of Object.keys( URL_DEFAULTS ) ) {
+			const value = isListKey( key ) ? state[ key ].join( '|' ) : state[ key ];
+			if ( value && value !== defaults[ key ] ) {
+				parts.push( prefix + key + '=' + encodeURIComponent( value ) );
 			}
-		} );
+		}
+		/* An empty fragment would leave a bare # behind */
+		history.replaceState(
+			history.state,
+			'',
+			parts.length ? '#' + parts.join( '&' ) : location.pathname + location.search
+		);
 	}
 
 	/* =======================================================================
-	 * PROPERTIES — GROUPED BY CATEGORY
+	 * HIERARCHY GRAPH
 	 * ======================================================================= */
 
-	function renderPropertiesByCategory( props ) {
-		if ( !props.length ) {
-			return $( '<p>' ).addClass( 's2-hierarchy-empty' ).text(
-				msg( 'semanticschemas-hierarchy-no-properties' )
-			);
+	const SVG_NS = 'http://www.w3.org/2000/svg';
+
+	const GRAPH = {
+		nodeHeight: 32,
+		layerGap: 72,
+		nodeGap: 24,
+		charWidth: 7.2,
+		padding: 14,
+		maxLabel: 32,
+		minScale: 0.25,
+		maxScale: 4
+	};
+
+	const svgEl = ( name, attrs ) => {
+		const el = document.createElementNS( SVG_NS, name );
+		for ( const key of Object.keys( attrs || {} ) ) {
+			el.setAttribute( key, attrs[ key ] );
 		}
+		return el;
+	};
 
-		const grouped = {};
-		for ( const p of props ) {
-			const s = p.sourceCategory || '';
-			if ( !grouped[ s ] ) {
-				grouped[ s ] = [];
+	/**
+	 * Assign every category reachable from the root to a layer.
+	 *
+	 * Uses longest-path layering so that each edge points from a lower
+	 * layer (child) to a strictly higher one (parent), and each category
+	 * appears exactly once regardless of how many children share it.
+	 *
+	 * @param {string} root Root category title
+	 * @param {Object} nodes Node map from the hierarchy API
+	 * @return {string[][]} Layers, index 0 holding the root
+	 */
+	function computeGraphLayers( root, nodes ) {
+		const parentsOf = ( title ) => Array.isArray( nodes[ title ] && nodes[ title ].parents ) ?
+			nodes[ title ].parents.filter( ( p ) => nodes[ p ] ) :
+			[];
+
+		/* Reachable set + in-degree (number of children pointing at a node) */
+		const reachable = [ root ];
+		const indegree = { [ root ]: 0 };
+		for ( let i = 0; i < reachable.length; i++ ) {
+			for ( const p of parentsOf( reachable[ i ] ) ) {
+				if ( !( p in indegree ) ) {
+					indegree[ p ] = 0;
+					reachable.push( p );
+				}
+				indegree[ p ]++;
 			}
-			grouped[ s ].push( p );
 		}
 
-		const $table = $( '<table>' )
-			.addClass( 'wikitable s2-prop-table' )
-			.append(
-				$( '<thead>' ).append(
-					$( '<tr>' )
-						.append( $( '<th>' ).text( msg( 'semanticschemas-hierarchy-source-category' ) ) )
-						.append( $( '<th>' ).text( msg( 'semanticschemas-hierarchy-properties' ) ) )
-				)
-			);
+		/* Kahn's algorithm, pushing each parent one layer past its deepest child */
+		const layerOf = { [ root ]: 0 };
+		const queue = reachable.filter( ( t ) => indegree[ t ] === 0 );
+		while ( queue.length ) {
+			const title = queue.shift();
+			for ( const p of parentsOf( title ) ) {
+				layerOf[ p ] = Math.max( layerOf[ p ] || 0, layerOf[ title ] + 1 );
+				if ( --indegree[ p ] === 0 ) {
+					queue.push( p );
+				}
+			}
+		}
 
-		const $tbody = $( '<tbody>' );
+		/* Anything left over sits on a cycle; park it below everything else */
+		let depth = Math.max( ...Object.keys( layerOf ).map( ( t ) => layerOf[ t ] ) );
+		for ( const title of reachable ) {
+			if ( indegree[ title ] > 0 ) {
+				layerOf[ title ] = ++depth;
+			}
+		}
 
-		for ( const source of sortedKeys( grouped ) ) {
-			const list = grouped[ source ];
-			const $row = $( '<tr>' );
+		const layers = [];
+		for ( const title of reachable ) {
+			( layers[ layerOf[ title ] ] = layers[ layerOf[ title ] ] || [] ).push( title );
+		}
+		return layers.filter( Boolean );
+	}
 
-			/* Source cell */
-			const $srcCell = $( '<td>' ).addClass( 's2-prop-source-cell' );
-			if ( source ) {
-				$srcCell.append( buildLink( source, 'Category' ) );
-			} else {
-				$srcCell.text( msg( 'semanticschemas-hierarchy-unknown-category' ) );
-			}
-
-			/* Properties cell */
-			const $propList = $( '<ul>' ).addClass( 's2-prop-list' );
-
-			for ( const p of list ) {
-				const $li = $( '<li>' )
-					.addClass( isRequired( p.required ) ? 's2-prop-required' : 's2-prop-optional' );
-
-				if ( p.propertyTitle ) {
-					$li.append(
-						buildLink( p.propertyTitle, 'Property' ),
-						' ',
-						$( '<span>' )
-							.addClass( 's2-prop-badge' )
-							.text(
-								isRequired( p.required ) ?
-									msg( 'semanticschemas-hierarchy-required' ) :
-									msg( 'semanticschemas-hierarchy-optional' )
-							)
-					);
-				} else {
-					$li.text( msg( 'semanticschemas-hierarchy-unnamed-property' ) );
+	/**
+	 * Reorder each layer by the mean position of its neighbours in the
+	 * adjacent layer (barycenter heuristic) to reduce edge crossings.
+	 *
+	 * @param {string[][]} layers Layers from computeGraphLayers (mutated)
+	 * @param {Object} nodes Node map from the hierarchy API
+	 */
+	function orderGraphLayers( layers, nodes ) {
+		const childrenOf = {};
+		for ( const layer of layers ) {
+			for ( const title of layer ) {
+				for ( const p of ( nodes[ title ].parents || [] ) ) {
+					( childrenOf[ p ] = childrenOf[ p ] || [] ).push( title );
 				}
+			}
+		}
 
-				$propList.append( $li );
+		const sweep = ( from, to, step, neighbours ) => {
+			for ( let i = from; i !== to; i += step ) {
+				const pos = {};
+				layers[ i - step ].forEach( ( t, idx ) => {
+					pos[ t ] = idx;
+				} );
+				const weight = ( title ) => {
+					const linked = neighbours( title ).filter( ( t ) => t in pos );
+					return linked.length ?
+						linked.reduce( ( sum, t ) => sum + pos[ t ], 0 ) / linked.length :
+						Infinity;
+				};
+				const keyed = layers[ i ].map( ( t, idx ) => ( { t, idx, w: weight( t ) } ) );
+				keyed.sort( ( a, b ) => ( a.w - b.w ) || ( a.idx - b.idx ) );
+				layers[ i ] = keyed.map( ( k ) => k.t );
 			}
+		};
 
-			$row.append( $srcCell )
-				.append( $( '<td>' ).addClass( 's2-prop-list-cell' ).append( $propList ) );
-			$tbody.append( $row );
+		for ( let pass = 0; pass < 2; pass++ ) {
+			sweep( 1, layers.length, 1, ( t ) => childrenOf[ t ] || [] );
+			sweep( layers.length - 2, -1, -1, ( t ) => nodes[ t ].parents || [] );
+		}
+	}
+
+	/**
+	 * Render data.nodes as a layered graph, following `parents` links away
+	 * from the root. With options.reverse the arrowheads point back towards
+	 * the root, which is used for the (inverted) descendant graph so arrows
+	 * always point from child to parent.
+	 *
+	 * @param {jQuery} $container
+	 * @param {Object} data Hierarchy payload (or a derived one, see invertDescendants)
+	 * @param {Object} [options]
+	 * @param {boolean} [options.reverse]
+	 */
+	function renderHierarchyGraph( $container, data, options ) {
+		const reverse = !!( options && options.reverse );
+		const root = data.rootCategory;
+		const nodes = data.nodes || {};
+
+		if ( !root || !nodes[ root ] ) {
+			renderEmpty( $container, msg( 'semanticschemas-hierarchy-no-data' ) );
+			return;
 		}
 
-		return $table.append( $tbody );
+		const layers = computeGraphLayers( root, nodes );
+		orderGraphLayers( layers, nodes );
+
+		/* Measure + position nodes, centring every layer on the widest one */
+		const boxes = {};
+		const layerWidths = layers.map( ( layer ) => {
+			let x = 0;
+			for ( const title of layer ) {
+				let label = stripPrefix( title, 'Category' );
+				if ( label.length > GRAPH.maxLabel ) {
+					label = label.slice( 0, GRAPH.maxLabel - 1 ) + '…';
+				}
+				const width = Math.round( label.length * GRAPH.charWidth + GRAPH.padding * 2 );
+				boxes[ title ] = { label, width, x };
+				x += width + GRAPH.nodeGap;
+			}
+			return x - GRAPH.nodeGap;
+		} );
+		const totalWidth = Math.max( ...layerWidths );
+		const totalHeight = layers.length * GRAPH.nodeHeight +
+			( layers.length - 1 ) * GRAPH.layerGap;
+
+		layers.forEach( ( layer, i ) => {
+			const offset = ( totalWidth - layerWidths[ i ] ) / 2;
+			for ( const title of layer ) {
+				boxes[ title ].x += offset;
+				boxes[ title ].y = i * ( GRAPH.nodeHeight + GRAPH.layerGap );
+			}
+		} );
+
+		/* SVG scaffold */
+		const margin = 16;
+		const svg = svgEl( 'svg', {
+			class: 's2-hierarchy-graph-svg',
+			/* Not img: that would hide the focusable node links from screen readers */
+			role: 'group',
+			'aria-label': msg( 'semanticschemas-hierarchy-graph-label' ),
+			viewBox: [ -margin, -margin, totalWidth + margin * 2, totalHeight + margin * 2 ].join( ' ' )
+		} );
+		svg.style.height = Math.min( totalHeight + margin * 2, 480 ) + 'px';
+
+		const defs = svgEl( 'defs' );
+		const marker = svgEl( 'marker', {
+			id: 's2-graph-arrow-' + Math.random().toString( 36 ).slice( 2 ),
+			viewBox: '0 0 10 10',
+			refX: 10,
+			refY: 5,
+			markerWidth: 7,
+			markerHeight: 7,
+			orient: 'auto-start-reverse'
+		} );
+		marker.appendChild( svgEl( 'path', { d: 'M0,0 L10,5 L0,10 z', class: 's2-hierarchy-graph-arrow' } ) );
+		defs.appendChild( marker );
+		svg.appendChild( defs );
+
+		const viewport = svgEl( 'g', { class: 's2-hierarchy-graph-viewport' } );
+		svg.appendChild( viewport );
+
+		/* Edges: child (bottom edge) → parent (top edge) */
+		const edgeLayer = svgEl( 'g', { class: 's2-hierarchy-graph-edges' } );
+		for ( const title of Object.keys( boxes ) ) {
+			const from = boxes[ title ];
+			for ( const p of ( nodes[ title ].parents || [] ) ) {
+				const to = boxes[ p ];
+				if ( !to ) {
+					continue;
+				}
+				const x1 = from.x + from.width / 2;
+				const y1 = from.y + GRAPH.nodeHeight;
+				const x2 = to.x + to.width / 2;
+				const y2 = to.y;
+				const bend = ( y2 - y1 ) / 2;
+				edgeLayer.appendChild( svgEl( 'path', {
+					class: 's2-hierarchy-graph-edge',
+					d: `M${ x1 },${ y1 } C${ x1 },${ y1 + bend } ${ x2 },${ y2 - bend } ${ x2 },${ y2 }`,
+					[ reverse ? 'marker-start' : 'marker-end' ]: `url(#${ marker.id })`
+				} ) );
+			}
+		}
+		viewport.appendChild( edgeLayer );
+
+		/* Nodes: SVG links so click, middle-click and keyboard navigation work */
+		const nodeLayer = svgEl( 'g', { class: 's2-hierarchy-graph-nodes' } );
+		for ( const title of Object.keys( boxes ) ) {
+			const box = boxes[ title ];
+			const link = svgEl( 'a', {
+				href: mw.util.getUrl( title ),
+				'aria-label': title,
+				class: 's2-hierarchy-graph-node' + ( title === root ? ' s2-hierarchy-graph-root' : '' )
+			} );
+			const tooltip = svgEl( 'title' );
+			tooltip.textContent = title;
+			const text = svgEl( 'text', {
+				x: box.x + box.width / 2,
+				y: box.y + GRAPH.nodeHeight / 2,
+				'text-anchor': 'middle',
+				'dominant-baseline': 'central'
+			} );
+			text.textContent = box.label;
+			link.append(
+				tooltip,
+				svgEl( 'rect', {
+					x: box.x,
+					y: box.y,
+					width: box.width,
+					height: GRAPH.nodeHeight,
+					rx: 6
+				} ),
+				text
+			);
+			nodeLayer.appendChild( link );
+		}
+		viewport.appendChild( nodeLayer );
+
+		/* Pan + zoom, applied as a transform on the viewport group */
+		const view = { x: 0, y: 0, k: 1 };
+		const applyView = () => viewport.setAttribute(
+			'transform', `translate(${ view.x },${ view.y }) scale(${ view.k })`
+		);
+		const toSvgPoint = ( clientX, clientY ) => {
+			const pt = svg.createSVGPoint();
+			pt.x = clientX;
+			pt.y = clientY;
+			return pt.matrixTransform( svg.getScreenCTM().inverse() );
+		};
+		const zoomAt = ( factor, point ) => {
+			const k = Math.min( GRAPH.maxScale, Math.max( GRAPH.minScale, view.k * factor ) );
+			view.x = point.x - ( point.x - view.x ) * ( k / view.k );
+			view.y = point.y - ( point.y - view.y ) * ( k / view.k );
+			view.k = k;
+			applyView();
+		};
+		const centre = () => ( { x: totalWidth / 2, y: totalHeight / 2 } );
+
+		/* The wheel only zooms with Ctrl/Meta held, or once the graph has been
+		 * clicked until the pointer leaves it, so scrolling past the graph
+		 * still scrolls the page */
+		let engaged = false;
+		svg.addEventListener( 'pointerleave', () => {
+			engaged = false;
+		} );
+		svg.addEventListener( 'wheel', ( e ) => {
+			if ( !engaged && !e.ctrlKey && !e.metaKey ) {
+				return;
+			}
+			e.preventDefault();
+			zoomAt( e.deltaY < 0 ? 1.15 : 1 / 1.15, toSvgPoint( e.clientX, e.clientY ) );
+		}, { passive: false } );
+
+		let drag = null;
+		svg.addEventListener( 'pointerdown', ( e ) => {
+			engaged = true;
+			if ( e.button !== 0 ) {
+				return;
+			}
+			drag = {
+				start: toSvgPoint( e.clientX, e.clientY ),
+				x: view.x,
+				y: view.y,
+				moved: false
+			};
+		} );
+		/* Suppress native link dragging so a drag that starts on a node pans */
+		svg.addEventListener( 'dragstart', ( e ) => e.preventDefault() );
+		svg.addEventListener( 'pointermove', ( e ) => {
+			if ( !drag ) {
+				return;
+			}
+			const pt = toSvgPoint( e.clientX, e.clientY );
+			const dx = pt.x - drag.start.x;
+			const dy = pt.y - drag.start.y;
+			if ( !drag.moved && Math.abs( dx ) + Math.abs( dy ) > 4 ) {
+				drag.moved = true;
+				svg.setPointerCapture( e.pointerId );
+				svg.classList.add( 's2-hierarchy-graph-dragging' );
+			}
+			if ( drag.moved ) {
+				view.x = drag.x + dx;
+				view.y = drag.y + dy;
+				applyView();
+			}
+		} );
+		const endDrag = () => {
+			svg.classList.remove( 's2-hierarchy-graph-dragging' );
+			/* Keep the flag until the click that follows a drag has been swallowed */
+			setTimeout( () => {
+				drag = null;
+			} );
+		};
+		svg.addEventListener( 'pointerup', endDrag );
+		svg.addEventListener( 'pointercancel', endDrag );
+		svg.addEventListener( 'click', ( e ) => {
+			if ( drag && drag.moved ) {
+				e.preventDefault();
+			}
+		}, true );
+
+		/* Zoom controls */
+		const zoomButton = ( action, label, tooltip ) => $( '<button>' )
+			.attr( { type: 'button', 'data-zoom': action, title: tooltip } )
+			.text( label );
+		const $controls = $( '<div>' ).addClass( 's2-hierarchy-graph-controls' ).append(
+			zoomButton( 'in', '+', msg( 'semanticschemas-hierarchy-graph-zoom-in' ) ),
+			zoomButton( 'out', '−', msg( 'semanticschemas-hierarchy-graph-zoom-out' ) ),
+			zoomButton( 'reset', msg( 'semanticschemas-hierarchy-graph-reset' ) )
+		);
+		$controls.on( 'click', 'button', function () {
+			const action = $( this ).data( 'zoom' );
+			if ( action === 'reset' ) {
+				view.x = 0;
+				view.y = 0;
+				view.k = 1;
+				applyView();
+			} else {
+				zoomAt( action === 'in' ? 1.25 : 0.8, centre() );
+			}
+		} );
+
+		$container.empty().append(
+			$( '<div>' ).addClass( 's2-hierarchy-graph' ).append( $controls, svg )
+		);
 	}
 
 	/* =======================================================================
-	 * PROPERTIES — REQUIRED vs OPTIONAL
+	 * TREE SECTION — DIRECTION + LIST / GRAPH TOGGLE
 	 * ======================================================================= */
 
-	function renderPropertiesByType( props ) {
-		const required = [];
-		const optional = [];
-		for ( const p of props ) {
-			( isRequired( p.required ) ? required : optional ).push( p );
+	/**
+	 * Re-shape the `descendants` map ({ title, children }) into the same
+	 * { title, parents } node shape the renderers walk, so the tree and
+	 * graph can draw subcategories without a second code path.
+	 *
+	 * @param {Object} data Hierarchy payload
+	 * @return {Object} Payload-like object with rootCategory + nodes
+	 */
+	function invertDescendants( data ) {
+		const nodes = {};
+		const descendants = data.descendants || {};
+		for ( const title of Object.keys( descendants ) ) {
+			nodes[ title ] = {
+				title,
+				parents: descendants[ title ].children || [],
+				hasMore: descendants[ title ].hasMore
+			};
 		}
+		return { rootCategory: data.rootCategory, nodes };
+	}
 
-		const sortFn = ( a, b ) => ( a.propertyTitle || '' ).localeCompare( b.propertyTitle || '' );
+	const hasSubcategories = ( data ) => {
+		const entry = ( data.descendants || {} )[ data.rootCategory ];
+		return !!( entry && entry.children && entry.children.length );
+	};
 
-		required.sort( sortFn );
-		optional.sort( sortFn );
+	/**
+	 * Tree section with direction and list/graph toggles.
+	 *
+	 * @param {jQuery} $container
+	 * @param {Object} data Hierarchy payload
+	 * @param {Object} state View state (see viewStateFor); updated and written
+	 *  back to the URL as the user changes the view
+	 * @param {Object} [options] Widget options (see renderInto)
+	 */
+	function renderTreeSection( $container, data, state, options ) {
+		options = options || {};
+
+		/* Collapse state is stored by category name, without the namespace */
+		const treeOptions = () => ( {
+			collapsed: state.collapsed.map( ( name ) => 'Category:' + name ),
+			expanded: state.expanded.map( ( name ) => 'Category:' + name ),
+			onToggle: ( title, expanded ) => {
+				const name = stripPrefix( title, 'Category' );
+				state.collapsed = state.collapsed.filter( ( n ) => n !== name );
+				state.expanded = state.expanded.filter( ( n ) => n !== name );
+				( expanded ? state.expanded : state.collapsed ).push( name );
+				writeUrlState( state );
+			}
+		} );
 
-		const buildList = ( arr, css ) => {
-			const $ul = $( '<ul>' ).addClass( 's2-prop-list s2-prop-list-by-type' );
-			for ( const p of arr ) {
-				const $li = $( '<li>' ).addClass( css );
+		/* Lazy loaders: fetch a branch and merge it into the payload so
+		 * re-rendering (e.g. after a view switch) keeps what was loaded */
+		data.nodes = data.nodes || {};
+		data.descendants = data.descendants || {};
+		const loadAncestors = ( title ) => fetchHierarchy( title, LAZY_DEPTH )
+			.then( ( more ) => mergeNodes( data.nodes, more.nodes ) );
+		const loadDescendants = ( title ) => fetchHierarchy( title, LAZY_DEPTH )
+			.then( ( more ) => {
+				mergeNodes( data.descendants, more.descendants );
+				return invertDescendants( more ).nodes;
+			} );
 
-				if ( p.propertyTitle ) {
-					$li.append( buildLink( p.propertyTitle, 'Property' ) );
+		/* The graph needs the whole picture; top up a depth-limited payload once */
+		const loadComplete = () => fetchHierarchy( data.rootCategory )
+			.then( ( full ) => {
+				mergeNodes( data.nodes, full.nodes );
+				mergeNodes( data.descendants, full.descendants );
+			} );
+
+		const buildToggle = ( key, values ) => {
+			const $group = $( '<div>' )
+				.addClass( 's2-hierarchy-view-toggle' )
+				.attr( { role: 'group', 'data-toggle': key } );
+			for ( const value of values ) {
+				// Messages that can be used here:
+				// * semanticschemas-hierarchy-direction-ancestors
+				// * semanticschemas-hierarchy-direction-subcategories
+				// * semanticschemas-hierarchy-view-list
+				// * semanticschemas-hierarchy-view-graph
+				$group.append(
+					$( '<button>' )
+						.attr( { type: 'button', 'data-value': value, 'aria-pressed': 'false' } )
+						.addClass( 's2-hierarchy-view-button' )
+						.text( msg( 'semanticschemas-hierarchy-' + key + '-' + value ) )
+				);
+			}
+			return $group;
+		};
+
+		const $toolbar = $( '<div>' ).addClass( 's2-hierarchy-toolbar' ).append(
+			buildToggle( 'direction', [ 'ancestors', 'subcategories' ] ),
+			buildToggle( 'view', [ 'list', 'graph' ] )
+		);
+		const $body = $( '<div>' ).addClass( 's2-hierarchy-view-body' );
+
+		const show = () => {
+			$toolbar.find( '.s2-hierarchy-view-toggle' ).each( function () {
+				const current = state[ $( this ).data( 'toggle' ) ];
+				$( this ).find( '.s2-hierarchy-view-button' ).each( function () {
+					const active = $( this ).data( 'value' ) === current;
+					$( this )
+						.toggleClass( 's2-hierarchy-view-button-active', active )
+						.attr( 'aria-pressed', String( active ) );
+				} );
+			} );
 
-					if ( p.sourceCategory ) {
-						$li.append(
-							' ',
-							$( '<span>' ).addClass( 's2-prop-source-label' ).append(
-								'(',
-								buildLink( p.sourceCategory, 'Category' ),
-								')'
-							)
-						);
+			if ( state.view === 'graph' && ( isPartial( data.nodes ) || isPartial( data.descendants ) ) ) {
+				$body.empty().append(
+					$( '<p>' ).addClass( 's2-hierarchy-loading' ).text( msg( 'semanticschemas-hierarchy-loading' ) )
+				);
+				loadComplete().then( () => {
+					if ( state.view === 'graph' ) {
+						show();
 					}
+				}, () => renderError( $body, msg( 'semanticschemas-hierarchy-error' ) ) );
+				return;
+			}
+
+			if ( state.direction === 'ancestors' ) {
+				if ( state.view === 'graph' ) {
+					renderHierarchyGraph( $body, data );
 				} else {
-					$li.text( msg( 'semanticschemas-hierarchy-unnamed-property' ) );
+					R.renderTree( $body, data, $.extend( treeOptions(), {
+						label: msg( 'semanticschemas-hierarchy-tree-title' ),
+						collapseDepth: options.collapseDepth,
+						loadMore: loadAncestors
+					} ) );
 				}
-
-				$ul.append( $li );
+			} else if ( !hasSubcategories( data ) ) {
+				renderEmpty( $body, msg( 'semanticschemas-hierarchy-no-subcategories' ) );
+			} else if ( state.view === 'graph' ) {
+				renderHierarchyGraph( $body, invertDescendants( data ), { reverse: true } );
+			} else {
+				/* Large ontologies fan out quickly; start with direct children only */
+				R.renderTree( $body, invertDescendants( data ), $.extend( treeOptions(), {
+					label: msg( 'semanticschemas-hierarchy-direction-subcategories' ),
+					collapseDepth: options.collapseDepth === undefined ? 1 : options.collapseDepth,
+					loadMore: loadDescendants
+				} ) );
 			}
-			return $ul;
 		};
 
-		const $root = $( '<div>' ).addClass( 's2-prop-by-type' );
-
-		if ( required.length ) {
-			$root.append(
-				$( '<div>' ).addClass( 's2-prop-type-section s2-prop-type-required-section' )
-					.append( $( '<h4>' ).text( `Required Properties (${ required.length })` ) )
-					.append( buildList( required, 's2-prop-required' ) )
-			);
-		}
-
-		if ( optional.length ) {
-			$root.append(
-				$( '<div>' ).addClass( 's2-prop-type-section s2-prop-type-optional-section' )
-					.append( $( '<h4>' ).text( `Optional Properties (${ optional.length })` ) )
-					.append( buildList( optional, 's2-prop-optional' ) )
-			);
-		}
+		$toolbar.on( 'click', '.s2-hierarchy-view-button', function () {
+			const key = $( this ).closest( '.s2-hierarchy-view-toggle' ).data( 'toggle' );
+			if ( key === 'direction' && state.direction !== $( this ).data( 'value' ) ) {
+				/* Collapse state belongs to the tree it was recorded on */
+				state.collapsed = [];
+				state.expanded = [];
+			}
+			state[ key ] = $( this ).data( 'value' );
+			writeUrlState( state );
+			show();
+		} );
 
-		return $root;
+		/* Compact blocks show the ancestor list only, without switches */
+		$container.empty().append( options.compact ? '' : $toolbar, $body );
+		show();
 	}
 
 	/* =======================================================================
-	 * SUBOBJECT TABLE
+	 * PROPERTIES — FILTER + SORT
 	 * ======================================================================= */
 
-	function renderSubobjectTable( $container, data ) {
-		const list = data.inheritedSubobjects || [];
-		if ( !list.length ) {
-			return renderEmpty( $container, msg( 'semanticschemas-hierarchy-no-subobjects' ) );
-		}
+	const propertyName = ( p ) => stripPrefix( p.propertyTitle, 'Property' );
 
-		const $table = $( '<table>' )
-			.addClass( 'wikitable s2-subobject-summary' )
-			.append(
-				$( '<thead>' ).append(
-					$( '<tr>' )
-						.append( $( '<th>' ).text( msg( 'semanticschemas-hierarchy-subobject-name' ) ) )
-						.append( $( '<th>' ).text( msg( 'semanticschemas-hierarchy-source-category' ) ) )
-						.append( $( '<th>' ).text( msg( 'semanticschemas-hierarchy-required-state' ) ) )
-				)
-			);
+	const PROPERTY_SORTS = {
+		name: ( a, b ) => propertyName( a ).localeCompare( propertyName( b ) ),
+		source: ( a, b ) => ( a.sourceCategory || '' ).localeCompare( b.sourceCategory || '' ) ||
+			PROPERTY_SORTS.name( a, b ),
+		datatype: ( a, b ) => ( a.datatype || '' ).localeCompare( b.datatype || '' ) ||
+			PROPERTY_SORTS.name( a, b )
+	};
 
-		const $tbody = $( '<tbody>' );
+	/**
+	 * Apply the properties panel filters and sort order.
+	 *
+	 * @param {Object[]} props Inherited property entries
+	 * @param {Object} state
+	 * @param {string} state.query Case-insensitive match on name or description
+	 * @param {boolean} state.requiredOnly
+	 * @param {string} state.datatype Empty for any datatype
+	 * @param {string} state.sort Key of PROPERTY_SORTS
+	 * @return {Object[]} New, filtered and sorted array
+	 */
+	function filterProperties( props, state ) {
+		const query = state.query.trim().toLowerCase();
+		return props
+			.filter( ( p ) => !state.requiredOnly || isRequired( p.required ) )
+			.filter( ( p ) => !state.datatype || p.datatype === state.datatype )
+			.filter( ( p ) => !query ||
+				propertyName( p ).toLowerCase().indexOf( query ) !== -1 ||
+				( p.description || '' ).toLowerCase().indexOf( query ) !== -1 )
+			.sort( PROPERTY_SORTS[ state.sort ] );
+	}
 
-		for ( const s of list ) {
-			const required = isRequired( s.required );
-			$tbody.append(
-				$( '<tr>' )
-					.append(
-						$( '<td>' ).append(
-							s.subobjectTitle ?
-								buildLink( s.subobjectTitle, 'Category' ) :
-								stripPrefix( s.subobjectTitle, 'Category' ) || '—'
-						)
-					)
-					.append(
-						$( '<td>' ).append(
-							s.sourceCategory ?
-								buildLink( s.sourceCategory, 'Category' ) :
-								stripPrefix( s.sourceCategory, 'Category' ) || '—'
-						)
-					)
-					.append(
-						$( '<td>' )
-							.addClass( required ? 's2-prop-required' : 's2-prop-optional' )
-							.text(
-								required ?
-									msg( 'semanticschemas-hierarchy-required' ) :
-									msg( 'semanticschemas-hierarchy-optional' )
-							)
-					)
-			);
-		}
+	/**
+	 * Build the filter/sort toolbar. Controls write into `state` and call
+	 * `onChange`; the toolbar itself is never re-rendered, so its state
+	 * carries over between tabs.
+	 *
+	 * @param {Object[]} props Inherited property entries (for the datatype list)
+	 * @param {Object} state See filterProperties()
+	 * @param {Function} onChange
+	 * @return {jQuery}
+	 */
+	function buildPropertyControls( props, state, onChange ) {
+		const datatypes = props.map( ( p ) => p.datatype )
+			.filter( ( d, i, all ) => d && all.indexOf( d ) === i )
+			.sort();
+
+		const $search = $( '<input>' )
+			.attr( {
+				type: 'search',
+				placeholder: msg( 'semanticschemas-hierarchy-filter-placeholder' ),
+				'aria-label': msg( 'semanticschemas-hierarchy-filter-placeholder' )
+			} )
+			.addClass( 's2-prop-filter-search' )
+			.val( state.query )
+			.on( 'input', function () {
+				state.query = this.value;
+				onChange();
+			} );
+
+		const $required = $( '<label>' ).addClass( 's2-prop-filter-required' ).append(
+			$( '<input>' )
+				.attr( 'type', 'checkbox' )
+				.prop( 'checked', state.requiredOnly )
+				.on( 'change', function () {
+					state.requiredOnly = this.checked;
+					onChange();
+				} ),
+			' ',
+			msg( 'semanticschemas-hierarchy-filter-required-only' )
+		);
+
+		const $datatype = $( '<select>' )
+			.addClass( 's2-prop-filter-datatype' )
+			.attr( 'aria-label', msg( 'semanticschemas-hierarchy-detail-datatype' ) )
+			.append(
+				$( '<option>' ).val( '' ).text( msg( 'semanticschemas-hierarchy-filter-datatype-all' ) ),
+				datatypes.map( ( d ) => $( '<option>' ).val( d ).text( d ) )
+			)
+			.val( state.datatype )
+			.on( 'change', function () {
+				state.datatype = this.value;
+				onChange();
+			} );
 
-		$container.empty().append( $table.append( $tbody ) );
+		const $sort = $( '<label>' ).addClass( 's2-prop-sort' ).append(
+			msg( 'semanticschemas-hierarchy-sort-label' ),
+			' ',
+			$( '<select>' )
+				.append( Object.keys( PROPERTY_SORTS ).map( ( key ) => $( '<option>' )
+					.val( key )
+					// Messages that can be used here:
+					// * semanticschemas-hierarchy-sort-name
+					// * semanticschemas-hierarchy-sort-source
+					// * semanticschemas-hierarchy-sort-datatype
+					.text( msg( 'semanticschemas-hierarchy-sort-' + key ) ) ) )
+				.val( state.sort )
+				.on( 'change', function () {
+					state.sort = this.value;
+					onChange();
+				} )
+		);
+
+		return $( '<div>' ).addClass( 's2-prop-controls' ).append(
+			$search,
+			$required,
+			/* Nothing to choose from when no property page defines a datatype */
+			datatypes.length ? $datatype : '',
+			$sort
+		);
 	}
 
 	/* =======================================================================
 	 * PROPERTIES TAB WRAPPER
 	 * ======================================================================= */
 
-	function renderPropertyTable( $container, data ) {
+	/**
+	 * Properties panel with filters and the By Category / By Type tabs.
+	 *
+	 * @param {jQuery} $container
+	 * @param {Object} data Hierarchy payload
+	 * @param {Object} viewState View state (see viewStateFor); its `tab` and
+	 *  filter keys set up the panel and are written back to the URL on changes
+	 * @param {Object} [options] Widget options (see renderInto)
+	 */
+	function renderPropertyTable( $container, data, viewState, options ) {
 		const props = data.inheritedProperties || [];
 		if ( !props.length ) {
-			return renderEmpty( $container, msg( 'semanticschemas-hierarchy-no-properties' ) );
+			renderEmpty( $container, msg( 'semanticschemas-hierarchy-no-properties' ) );
+			return;
 		}
 
+		const compact = options && options.compact;
+		const knownDatatype = props.some( ( p ) => p.datatype &&
+			p.datatype === viewState.datatype );
+		/* Compact blocks have no controls, so filters from the URL would be invisible there */
+		const state = compact ?
+			{ query: '', requiredOnly: false, datatype: '', sort: 'name' } :
+			{
+				query: viewState.search,
+				requiredOnly: viewState.required === '1',
+				datatype: knownDatatype ? viewState.datatype : '',
+				sort: PROPERTY_SORTS[ viewState.sort ] ? viewState.sort : 'name'
+			};
+
 		const $tabs = $( '<div>' ).addClass( 's2-prop-tabs' );
 		const $byCat = $( '<button>' )
-			.addClass( 's2-prop-tab s2-prop-tab-active' )
+			.addClass( 's2-prop-tab' )
 			.attr( 'data-tab', 'category' )
-			.text( 'By Category' );
+			.text( msg( 'semanticschemas-hierarchy-tab-by-category' ) );
 		const $byType = $( '<button>' )
 			.addClass( 's2-prop-tab' )
 			.attr( 'data-tab', 'type' )
-			.text( 'By Type' );
+			.text( msg( 'semanticschemas-hierarchy-tab-by-type' ) );
 		$tabs.append( $byCat, $byType );
 
 		const $contents = $( '<div>' ).addClass( 's2-prop-tab-contents' );
 		const $catContent = $( '<div>' )
-			.addClass( 's2-prop-tab-content s2-prop-tab-content-active' )
-			.attr( 'data-content', 'category' )
-			.append( renderPropertiesByCategory( props ) );
+			.addClass( 's2-prop-tab-content' )
+			.attr( 'data-content', 'category' );
 		const $typeContent = $( '<div>' )
 			.addClass( 's2-prop-tab-content' )
-			.attr( 'data-content', 'type' )
-			.append( renderPropertiesByType( props ) );
+			.attr( 'data-content', 'type' );
 
 		$contents.append( $catContent, $typeContent );
 
-		$container.empty().append( $tabs, $contents );
+		const $count = $( '<p>' ).addClass( 's2-prop-filter-count' ).attr( 'aria-live', 'polite' );
+
+		/* Both tabs are re-rendered together so switching shows the same selection */
+		const update = () => {
+			const shown = filterProperties( props, state );
+			$count.text( mw.msg( 'semanticschemas-hierarchy-filter-count', shown.length, props.length ) );
+			if ( !shown.length ) {
+				renderEmpty( $catContent, msg( 'semanticschemas-hierarchy-filter-no-match' ) );
+				renderEmpty( $typeContent, msg( 'semanticschemas-hierarchy-filter-no-match' ) );
+				return;
+			}
+			$catContent.empty().append( R.renderPropertiesByCategory( shown ) );
+			$typeContent.empty().append( R.renderPropertiesByType( shown ) );
+		};
+
+		const onFilterChange = () => {
+			viewState.search = state.query;
+			viewState.required = state.requiredOnly ? '1' : '';
+			viewState.datatype = state.datatype;
+			viewState.sort = state.sort;
+			writeUrlState( viewState );
+			update();
+		};
+
+		$container.empty().append(
+			compact ? '' : buildPropertyControls( props, state, onFilterChange ),
+			$count,
+			$tabs,
+			$contents
+		);
+		update();
 
 		/* Tab toggle */
-		$tabs.on( 'click', '.s2-prop-tab', function () {
-			const tab = $( this ).data( 'tab' );
+		const activateTab = ( tab ) => {
 			$tabs.find( '.s2-prop-tab' ).removeClass( 's2-prop-tab-active' );
-			$( this ).addClass( 's2-prop-tab-active' );
+			$tabs.find( `[data-tab="${ tab }"]` ).addClass( 's2-prop-tab-active' );
 			$contents.find( '.s2-prop-tab-content' )
 				.removeClass( 's2-prop-tab-content-active' );
 			$contents.find( `[data-content="${ tab }"]` )
 				.addClass( 's2-prop-tab-content-active' );
+		};
+		activateTab( viewState.tab === 'type' ? 'type' : 'category' );
+
+		$tabs.on( 'click', '.s2-prop-tab', function () {
+			viewState.tab = $( this ).data( 'tab' );
+			activateTab( viewState.tab );
+			writeUrlState( viewState );
+		} );
+	}
+
+	/* =======================================================================
+	 * EXPORT
+	 * ======================================================================= */
+
+	const csvCell = ( value ) => {
+		let text = value === undefined || value === null ? '' : String( value );
+		/* Wiki content is user-editable: keep spreadsheets from running it as a formula */
+		if ( /^[=+\-@\t\r]/.test( text ) ) {
+			text = "'" + text;
+		}
+		return /[",\r\n]/.test( text ) ? '"' + text.replace( /"/g, '""' ) + '"' : text;
+	};
+
+	/**
+	 * Inherited properties and subobjects as CSV, one row per field.
+	 *
+	 * @param {Object} data Hierarchy payload
+	 * @return {string}
+	 */
+	function toCsv( data ) {
+		const rows = [ [
+			'kind', 'name', 'source_category', 'required', 'datatype',
+			'allowed_values', 'multiple_values', 'input_type', 'description'
+		] ];
+		for ( const p of data.inheritedProperties || [] ) {
+			rows.push( [
+				'property',
+				stripPrefix( p.propertyTitle, 'Property' ),
+				stripPrefix( p.sourceCategory, 'Category' ),
+				isRequired( p.required ) ? 1 : 0,
+				p.datatype,
+				( p.allowedValues || [] ).join( '; ' ),
+				isRequired( p.allowsMultipleValues ) ? 1 : 0,
+				p.inputType,
+				p.description
+			] );
+		}
+		for ( const sub of data.inheritedSubobjects || [] ) {
+			rows.push( [
+				'subobject',
+				stripPrefix( sub.subobjectTitle, 'Category' ),
+				stripPrefix( sub.sourceCategory, 'Category' ),
+				isRequired( sub.required ) ? 1 : 0
+			] );
+		}
+		return rows.map( ( row ) => row.map( csvCell ).join( ',' ) ).join( '\r\n' ) + '\r\n';
+	}
+
+	/**
+	 * Child → parent edges of the ancestor graph, by category name.
+	 *
+	 * @param {Object} data Hierarchy payload
+	 * @return {Array[]} [ child, parent ] pairs
+	 */
+	const ancestorEdges = ( data ) => {
+		const edges = [];
+		for ( const title of sortedKeys( data.nodes || {} ) ) {
+			for ( const parent of data.nodes[ title ].parents || [] ) {
+				edges.push( [ stripPrefix( title, 'Category' ), stripPrefix( parent, 'Category' ) ] );
+			}
+		}
+		return edges;
+	};
+
+	/**
+	 * Ancestor graph as a Mermaid flowchart, parents drawn above children.
+	 *
+	 * @param {Object} data Hierarchy payload
+	 * @return {string}
+	 */
+	function toMermaid( data ) {
+		/* Mermaid ids must be plain identifiers; names go in quoted labels */
+		const ids = {};
+		const id = ( name ) => {
+			if ( !ids[ name ] ) {
+				ids[ name ] = 'n' + Object.keys( ids ).length;
+			}
+			return ids[ name ];
+		};
+		const node = ( name ) => id( name ) + '["' + name.replace( /"/g, '#quot;' ) + '"]';
+
+		const root = stripPrefix( data.rootCategory, 'Category' );
+		const lines = [ 'graph BT', '  ' + node( root ) ];
+		for ( const [ child, parent ] of ancestorEdges( data ) ) {
+			lines.push( '  ' + node( child ) + ' --> ' + node( parent ) );
+		}
+		return lines.join( '\n' ) + '\n';
+	}
+
+	/**
+	 * Ancestor graph in Graphviz DOT, parents drawn above children.
+	 *
+	 * @param {Object} data Hierarchy payload
+	 * @return {string}
+	 */
+	function toDot( data ) {
+		const quote = ( text ) => '"' + text.replace( /\\/g, '\\\\' ).replace( /"/g, '\\"' ) + '"';
+		const root = stripPrefix( data.rootCategory, 'Category' );
+		const lines = [
+			'digraph ' + quote( root ) + ' {',
+			'  rankdir=BT;',
+			'  node [shape=box];',
+			'  ' + quote( root ) + ' [style=bold];'
+		];
+		for ( const [ child, parent ] of ancestorEdges( data ) ) {
+			lines.push( '  ' + quote( child ) + ' -> ' + quote( parent ) + ';' );
+		}
+		lines.push( '}' );
+		return lines.join( '\n' ) + '\n';
+	}
+
+	const EXPORT_FORMATS = {
+		csv: { extension: 'csv', type: 'text/csv', build: toCsv },
+		json: {
+			extension: 'json',
+			type: 'application/json',
+			build: ( data ) => JSON.stringify( data, null, '\t' ) + '\n'
+		},
+		mermaid: { extension: 'mmd', type: 'text/plain', build: toMermaid },
+		dot: { extension: 'dot', type: 'text/vnd.graphviz', build: toDot }
+	};
+
+	function downloadText( filename, text, type ) {
+		const url = URL.createObjectURL( new Blob( [ text ], { type: type + ';charset=utf-8' } ) );
+		const $a = $( '<a>' ).attr( { href: url, download: filename } ).appendTo( document.body );
+		$a[ 0 ].click();
+		$a.remove();
+		setTimeout( () => URL.revokeObjectURL( url ) );
+	}
+
+	/**
+	 * Export menu for a hierarchy block. Exports always use the complete
+	 * hierarchy, even when the widget itself has only loaded a few levels.
+	 *
+	 * @param {Object} data Hierarchy payload as rendered
+	 * @return {jQuery}
+	 */
+	function buildExportMenu( data ) {
+		const $menu = $( '<ul>' ).addClass( 's2-hierarchy-export-menu' );
+		for ( const format of Object.keys( EXPORT_FORMATS ) ) {
+			$menu.append( $( '<li>' ).append(
+				$( '<button>' )
+					.attr( { type: 'button', 'data-format': format } )
+					// Messages that can be used here:
+					// * semanticschemas-hierarchy-export-csv
+					// * semanticschemas-hierarchy-export-json
+					// * semanticschemas-hierarchy-export-mermaid
+					// * semanticschemas-hierarchy-export-dot
+					.text( msg( 'semanticschemas-hierarchy-export-' + format ) )
+			) );
+		}
+
+		const $details = $( '<details>' ).addClass( 's2-hierarchy-export' ).append(
+			$( '<summary>' ).text( msg( 'semanticschemas-hierarchy-export' ) ),
+			$menu
+		);
+
+		$menu.on( 'click', 'button', function () {
+			const format = EXPORT_FORMATS[ $( this ).data( 'format' ) ];
+			const filename = stripPrefix( data.rootCategory, 'Category' ).replace( /[^\w.-]+/g, '_' ) +
+				'-hierarchy.' + format.extension;
+
+			fetchHierarchy( data.rootCategory )
+				.then( ( full ) => downloadText( filename, format.build( full ), format.type ) )
+				.fail( () => mw.notify( msg( 'semanticschemas-hierarchy-error' ), { type: 'error' } ) );
+			$details.prop( 'open', false );
 		} );
+
+		return $details;
 	}
 
 	/* =======================================================================
 	 * FETCH + RENDER WRAPPER
 	 * ======================================================================= */
 
-	function fetchAndRender( $root, title ) {
+	const SECTIONS = [ 'tree', 'properties', 'subobjects' ];
+
+	function fetchAndRender( $root, title, options ) {
+		const sections = options.sections || SECTIONS;
+
 		$root
+			.toggleClass( 's2-hierarchy-compact', !!options.compact )
 			.addClass( 's2-hierarchy-loading' )
 			.empty()
 			.append( $( '<p>' ).text( msg( 'semanticschemas-hierarchy-loading' ) ) );
 
-		new mw.Api()
-			.get( {
-				action: 'semanticschemas-hierarchy',
-				category: title,
-				format: 'json'
-			} )
-			.done( ( data ) => {
+		fetchHierarchy( title, LAZY_DEPTH )
+			.done( ( payload ) => {
 				$root.removeClass( 's2-hierarchy-loading' );
 
-				const payload = data[ 'semanticschemas-hierarchy' ];
 				if ( !payload ) {
 					return renderError(
 						$root,
@@ -404,38 +1145,239 @@
 					);
 				}
 
-				const $tree = $( '<div>' ).addClass( 's2-hierarchy-tree-container' );
-				const $props = $( '<div>' ).addClass( 's2-hierarchy-props-container' );
-				const $subs = $( '<div>' ).addClass( 's2-hierarchy-subobjects-container' );
-
-				$root.empty().append(
-					$( '<div>' ).addClass( 's2-hierarchy-section' )
-						.append(
-							$( '<h3>' ).text( msg( 'semanticschemas-hierarchy-tree-title' ) ),
-							$tree
-						),
-					$( '<div>' ).addClass( 's2-hierarchy-section' )
-						.append(
-							$( '<h3>' ).text( msg( 'semanticschemas-hierarchy-props-title' ) ),
-							$props
-						),
-					$( '<div>' ).addClass( 's2-hierarchy-section' )
-						.append(
-							$( '<h3>' ).text( msg( 'semanticschemas-hierarchy-subobjects-title' ) ),
-							$subs
+				const viewState = viewStateFor( title, { tab: options.tab }, urlPrefix( $root ) );
+
+				const renderers = {
+					tree: {
+						title: 'semanticschemas-hierarchy-tree-title',
+						container: 's2-hierarchy-tree-container',
+						render: ( $c ) => renderTreeSection( $c, payload, viewState, options )
+					},
+					properties: {
+						title: 'semanticschemas-hierarchy-props-title',
+						container: 's2-hierarchy-props-container',
+						render: ( $c ) => renderPropertyTable( $c, payload, viewState, options )
+					},
+					subobjects: {
+						title: 'semanticschemas-hierarchy-subobjects-title',
+						container: 's2-hierarchy-subobjects-container',
+						render: ( $c ) => $c.empty().append(
+							R.renderSubobjects( payload.inheritedSubobjects || [] )
+						)
+					}
+				};
+
+				$root.empty().append( options.compact ? '' : buildExportMenu( payload ) );
+
+				for ( const name of SECTIONS ) {
+					if ( sections.indexOf( name ) === -1 ) {
+						continue;
+					}
+					const section = renderers[ name ];
+					const $body = $( '<div>' ).addClass( section.container );
+					$root.append(
+						$( '<div>' ).addClass( 's2-hierarchy-section' ).append(
+							$( '<h3>' ).text( msg( section.title ) ),
+							$body
 						)
+					);
+					section.render( $body );
+				}
+			} )
+			.fail( ( code, result ) => {
+				$root.removeClass( 's2-hierarchy-loading' );
+				renderError(
+					$root,
+					msg( 'semanticschemas-hierarchy-error' ) + ': ' +
+					( ( result && result.error && result.error.info ) || code )
 				);
+			} );
+	}
+
+	/* =======================================================================
+	 * COMPARE MODE
+	 * ======================================================================= */
+
+	/**
+	 * Diff two lists of inherited fields by title.
+	 *
+	 * @param {Object[]} listA Entries of category A
+	 * @param {Object[]} listB Entries of category B
+	 * @param {string} key Title field ('propertyTitle' or 'subobjectTitle')
+	 * @return {Object} { onlyA, onlyB, different: [ { a, b } ], same } sorted by title
+	 */
+	function diffInherited( listA, listB, key ) {
+		const byTitle = ( list ) => {
+			const map = {};
+			for ( const entry of list || [] ) {
+				map[ entry[ key ] ] = entry;
+			}
+			return map;
+		};
+		const mapA = byTitle( listA );
+		const mapB = byTitle( listB );
+		const result = { onlyA: [], onlyB: [], different: [], same: 0 };
+
+		for ( const title of sortedKeys( mapA ) ) {
+			const a = mapA[ title ];
+			const b = mapB[ title ];
+			if ( !b ) {
+				result.onlyA.push( a );
+			} else if ( isRequired( a.required ) !== isRequired( b.required ) ) {
+				result.different.push( { a, b } );
+			} else {
+				result.same++;
+			}
+		}
+		for ( const title of sortedKeys( mapB ) ) {
+			if ( !mapA[ title ] ) {
+				result.onlyB.push( mapB[ title ] );
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Categories appearing in both ancestries, sorted by title.
+	 *
+	 * @param {Object} a Hierarchy payload of category A
+	 * @param {Object} b Hierarchy payload of category B
+	 * @return {string[]}
+	 */
+	const commonAncestors = ( a, b ) => sortedKeys( a.nodes || {} )
+		.filter( ( title ) => ( b.nodes || {} )[ title ] );
+
+	/**
+	 * Side-by-side diff table: one group of rows per kind of difference,
+	 * with a column per category showing its required state.
+	 *
+	 * @param {Object} diff Result of diffInherited()
+	 * @param {string} key Title field of the entries
+	 * @param {string} prefix Namespace prefix of the titles
+	 * @param {string} nameA Display name of category A
+	 * @param {string} nameB Display name of category B
+	 * @return {jQuery}
+	 */
+	function renderCompareTable( diff, key, prefix, nameA, nameB ) {
+		const state = ( entry ) => {
+			if ( !entry ) {
+				return $( '<td>' ).addClass( 's2-compare-absent' ).text( '—' );
+			}
+			const required = isRequired( entry.required );
+			return $( '<td>' )
+				.addClass( required ? 's2-prop-required' : 's2-prop-optional' )
+				.text( required ?
+					msg( 'semanticschemas-hierarchy-required' ) :
+					msg( 'semanticschemas-hierarchy-optional' ) );
+		};
+
+		const $tbody = $( '<tbody>' );
+		const group = ( label, rows ) => {
+			if ( !rows.length ) {
+				return;
+			}
+			$tbody.append( $( '<tr>' ).addClass( 's2-compare-group' ).append(
+				$( '<th>' ).attr( { colspan: 3, scope: 'rowgroup' } ).text( label )
+			) );
+			for ( const [ a, b ] of rows ) {
+				$tbody.append( $( '<tr>' ).append(
+					$( '<td>' ).append( buildLink( ( a || b )[ key ], prefix ) ),
+					state( a ),
+					state( b )
+				) );
+			}
+		};
+
+		group(
+			mw.msg( 'semanticschemas-hierarchy-compare-only-in', nameA ),
+			diff.onlyA.map( ( e ) => [ e, null ] )
+		);
+		group(
+			mw.msg( 'semanticschemas-hierarchy-compare-only-in', nameB ),
+			diff.onlyB.map( ( e ) => [ null, e ] )
+		);
+		group(
+			msg( 'semanticschemas-hierarchy-compare-different-required' ),
+			diff.different.map( ( d ) => [ d.a, d.b ] )
+		);
+
+		const $summary = $( '<p>' ).addClass( 's2-compare-same' )
+			.text( mw.msg( 'semanticschemas-hierarchy-compare-same', diff.same ) );
+
+		if ( !$tbody.children().length ) {
+			return $summary;
+		}
+
+		return $( '<div>' ).append(
+			$( '<table>' ).addClass( 'wikitable s2-prop-table s2-compare-table' ).append(
+				$( '<thead>' ).append( $( '<tr>' ).append(
+					$( '<th>' ).text( msg( 'semanticschemas-hierarchy-compare-name' ) ),
+					$( '<th>' ).text( nameA ),
+					$( '<th>' ).text( nameB )
+				) ),
+				$tbody
+			),
+			$summary
+		);
+	}
 
-				renderHierarchyTree( $tree, payload );
-				renderPropertyTable( $props, payload );
-				renderSubobjectTable( $subs, payload );
+	function fetchAndCompare( $root, titleA, titleB ) {
+		$root
+			.addClass( 's2-hierarchy-loading' )
+			.empty()
+			.append( $( '<p>' ).text( msg( 'semanticschemas-hierarchy-loading' ) ) );
+
+		/* Complete payloads: common ancestors may sit at any depth */
+		mw.SemanticSchemasApi.getHierarchies( [ titleA, titleB ] )
+			.done( ( byTitle ) => {
+				const a = byTitle[ titleA ];
+				const b = byTitle[ titleB ];
+				$root.removeClass( 's2-hierarchy-loading' );
+
+				if ( !a || !b || $.isEmptyObject( a.nodes ) || $.isEmptyObject( b.nodes ) ) {
+					return renderError( $root, msg( 'semanticschemas-hierarchy-no-data' ) );
+				}
+
+				const nameA = stripPrefix( a.rootCategory, 'Category' );
+				const nameB = stripPrefix( b.rootCategory, 'Category' );
+				const common = commonAncestors( a, b );
+
+				const section = ( title, $content ) => $( '<div>' )
+					.addClass( 's2-hierarchy-section' )
+					.append( $( '<h3>' ).text( title ), $content );
+
+				$root.empty().addClass( 's2-hierarchy-compare' ).append(
+					section(
+						msg( 'semanticschemas-hierarchy-compare-common-ancestors' ),
+						common.length ?
+							$( '<ul>' ).addClass( 's2-compare-ancestors' ).append(
+								common.map( ( t ) => $( '<li>' ).append( buildLink( t, 'Category' ) ) )
+							) :
+							$( '<p>' ).addClass( 's2-hierarchy-empty' )
+								.text( msg( 'semanticschemas-hierarchy-compare-no-common-ancestors' ) )
+					),
+					section(
+						msg( 'semanticschemas-hierarchy-props-title' ),
+						renderCompareTable(
+							diffInherited( a.inheritedProperties, b.inheritedProperties, 'propertyTitle' ),
+							'propertyTitle', 'Property', nameA, nameB
+						)
+					),
+					section(
+						msg( 'semanticschemas-hierarchy-subobjects-title' ),
+						renderCompareTable(
+							diffInherited( a.inheritedSubobjects, b.inheritedSubobjects, 'subobjectTitle' ),
+							'subobjectTitle', 'Category', nameA, nameB
+						)
+					)
+				);
 			} )
 			.fail( ( code, result ) => {
 				$root.removeClass( 's2-hierarchy-loading' );
 				renderError(
 					$root,
 					msg( 'semanticschemas-hierarchy-error' ) + ': ' +
-					( ( result.error && result.error.info ) || code )
+					( ( result && result.error && result.error.info ) || code )
 				);
 			} );
 	}
@@ -444,20 +1386,64 @@
 	 * PUBLIC API
 	 * ======================================================================= */
 
+	/**
+	 * Read widget options from a block's data attributes, as written by
+	 * {{#semanticschemas_hierarchy:}}.
+	 *
+	 * @param {jQuery} $node
+	 * @return {Object} See renderInto
+	 */
+	const optionsFromData = ( $node ) => {
+		const sections = $node.attr( 'data-sections' );
+		const depth = $node.attr( 'data-collapse-depth' );
+		return {
+			sections: sections ? sections.split( ',' ) : undefined,
+			tab: $node.attr( 'data-tab' ),
+			collapseDepth: depth !== undefined ? Number( depth ) : undefined,
+			compact: $node.attr( 'data-compact' ) === '1'
+		};
+	};
+
 	mw.SemanticSchemasHierarchy = {
-		renderInto: ( container, title ) => {
+		/**
+		 * Render the hierarchy widget for a category.
+		 *
+		 * @param {HTMLElement|jQuery} container
+		 * @param {string} title Category name, with or without prefix
+		 * @param {Object} [options]
+		 * @param {string[]} [options.sections] Any of 'tree', 'properties', 'subobjects'
+		 *  (default: all three)
+		 * @param {string} [options.tab] Initial properties tab: 'category' (default) or 'type'
+		 * @param {number} [options.collapseDepth] Tree levels shown expanded below the root
+		 * @param {boolean} [options.compact] Small box without toolbars and export menu
+		 */
+		renderInto: ( container, title, options ) => {
 			const $root = $( container );
 			if ( !$root.length ) {
 				mw.log.warn( 'SemanticSchemasHierarchy: Missing container' );
 				return;
 			}
 			if ( !title ) {
+				renderError( $root, msg( 'semanticschemas-hierarchy-no-category' ) );
+				return;
+			}
+			fetchAndRender( $root, title, options || {} );
+		},
+
+		/* Diff of two categories' effective schemas */
+		renderCompare: ( container, titleA, titleB ) => {
+			const $root = $( container );
+			if ( !$root.length ) {
+				mw.log.warn( 'SemanticSchemasHierarchy: Missing container' );
+				return;
+			}
+			if ( !titleA || !titleB ) {
 				return renderError(
 					$root,
 					msg( 'semanticschemas-hierarchy-no-category' )
 				);
 			}
-			fetchAndRender( $root, title );
+			fetchAndCompare( $root, titleA, titleB );
 		}
 	};
 
@@ -466,11 +1452,34 @@
 	 * ======================================================================= */
 
 	$( () => {
-		$( '.s2-hierarchy-block[data-category]' ).each( function () {
+		/* Special:SemanticSchemas/hierarchy opened from a shared link without ?category= */
+		const $special = $( '#s2-hierarchy-container:not([data-category])' );
+		const linked = readUrlState( urlPrefix( $special ) ).category;
+		if ( linked && $special.length ) {
+			$( '#s2-hierarchy-category-input' ).val( linked );
+			mw.SemanticSchemasHierarchy.renderInto( $special, linked );
+		}
+
+		const $blocks = $( '.s2-hierarchy-block[data-category]' );
+
+		/* Load every plain block's first levels in one batch request; the
+		 * renderInto() calls below then join it instead of sending their own */
+		const titles = $blocks.not( '[data-compare]' )
+			.map( function () {
+				return String( $( this ).data( 'category' ) );
+			} ).get();
+		if ( titles.length > 1 ) {
+			mw.SemanticSchemasApi.getHierarchies( titles, { depth: LAZY_DEPTH } );
+		}
+
+		$blocks.each( function () {
 			const $node = $( this );
 			const title = $node.data( 'category' );
-			if ( title ) {
-				mw.SemanticSchemasHierarchy.renderInto( $node, title );
+			const compare = $node.data( 'compare' );
+			if ( title && compare ) {
+				mw.SemanticSchemasHierarchy.renderCompare( $node, title, compare );
+			} else if ( title ) {
+				mw.SemanticSchemasHierarchy.renderInto( $node, title, optionsFromData( $node ) );
 			}
 		} );
 	} );
@@ -0,0 +1,697 @@
+/**
+ * SemanticSchemas Shared Renderers
+ * ================================
+ * Building blocks for drawing hierarchy payloads, shared by the hierarchy
+ * widget and the form preview, and available to gadgets.
+ *
+ * Every renderer takes the data shapes returned by
+ * action=semanticschemas-hierarchy (see mw.SemanticSchemasApi), where flags
+ * such as `required` arrive as 1/0. Styles come with this module.
+ *
+ * Example:
+ *
+ *     mw.loader.using( [ 'ext.semanticschemas.api', 'ext.semanticschemas.renderers' ] )
+ *         .then( () => mw.SemanticSchemasApi.getHierarchy( 'Person' ) )
+ *         .then( ( data ) => {
+ *             const R = mw.SemanticSchemasRenderers;
+ *             R.renderTree( $( '#tree' ), data );
+ *             $( '#props' ).append( R.renderPropertiesByType( data.inheritedProperties ) );
+ *         } );
+ *
+ * Exposes: mw.SemanticSchemasRenderers
+ *
+ * @param {Object} mw
+ * @param {jQuery} $
+ */
+
+( function ( mw, $ ) {
+	'use strict';
+
+	/* =======================================================================
+	 * HELPERS
+	 * ======================================================================= */
+
+	const msg = ( name ) => mw.msg( name );
+
+	const stripPrefix = ( title, prefix ) => typeof title === 'string' ?
+		title.replace( new RegExp( '^' + prefix + ':' ), '' ) :
+		'';
+
+	const isRequired = ( val ) => val === 1 || val === true;
+
+	const buildLink = ( fullTitle, displayPrefix ) => {
+		if ( !fullTitle ) {
+			return $( '<span>' ).text( '—' );
+		}
+		const display = stripPrefix( fullTitle, displayPrefix );
+		return $( '<a>' )
+			.attr( 'href', mw.util.getUrl( fullTitle ) )
+			.attr( 'title', fullTitle )
+			.text( display );
+	};
+
+	const sortedKeys = ( obj ) => Object.keys( obj ).sort( ( a, b ) => a.localeCompare( b ) );
+
+	const renderEmpty = ( $c, m ) => $c.empty().append( $( '<p>' ).addClass( 's2-hierarchy-empty' ).text( m ) );
+
+	const requiredLabel = ( val ) => isRequired( val ) ?
+		msg( 'semanticschemas-hierarchy-required' ) :
+		msg( 'semanticschemas-hierarchy-optional' );
+
+	/**
+	 * Merge node entries into a graph map. Complete entries win over ones
+	 * still flagged `hasMore`, so later partial responses never hide
+	 * branches that were already loaded.
+	 *
+	 * @param {Object} target Node map to update (mutated)
+	 * @param {Object} [source] Node map from a newer response
+	 * @return {Object} target
+	 */
+	const mergeNodes = ( target, source ) => {
+		for ( const title of Object.keys( source || {} ) ) {
+			if ( !target[ title ] || target[ title ].hasMore ) {
+				target[ title ] = source[ title ];
+			}
+		}
+		return target;
+	};
+
+	/* =======================================================================
+	 * HIERARCHY TREE
+	 * ======================================================================= */
+
+	/**
+	 * Render a nested, collapsible list starting at data.rootCategory and
+	 * following each node's `parents` links, navigable with the keyboard as
+	 * a WAI-ARIA tree.
+	 *
+	 * @param {jQuery} $container
+	 * @param {Object} data Hierarchy payload, or one with the same shape
+	 * @param {Object} [options]
+	 * @param {number} [options.collapseDepth] Collapse nodes at this depth and deeper
+	 * @param {Function} [options.loadMore] Called with the title of a node flagged
+	 *  `hasMore` when it is expanded; returns a promise of node entries to merge
+	 * @param {string[]} [options.collapsed] Titles to start collapsed
+	 * @param {string[]} [options.expanded] Titles to start expanded (loading them if needed)
+	 * @param {Function} [options.onToggle] Called with ( title, expanded ) after a toggle
+	 * @param {string} [options.label] Accessible name of the tree
+	 * @param {string} [options.rootBadge] Show the root as plain text followed by
+	 *  this badge, for a category that is not saved yet
+	 */
+	function renderTree( $container, data, options ) {
+		options = options || {};
+		const root = data.rootCategory;
+		const nodes = data.nodes || {};
+		const collapseDepth = options.collapseDepth === undefined ?
+			Infinity : options.collapseDepth;
+		const loadMore = options.loadMore;
+		const has = ( list, title ) => ( list || [] ).indexOf( title ) !== -1;
+		const onToggle = options.onToggle || ( () => {} );
+
+		if ( !root || !nodes[ root ] ) {
+			renderEmpty( $container, msg( 'semanticschemas-hierarchy-no-data' ) );
+			return;
+		}
+
+		/* Node name: a link, or plain text plus badge for an unsaved root */
+		const buildLabel = ( title, depth ) => {
+			if ( depth === 0 && options.rootBadge ) {
+				return [
+					$( '<span>' ).addClass( 's2-hierarchy-node-label' )
+						.text( stripPrefix( title, 'Category' ) ),
+					$( '<span>' ).addClass( 's2-hierarchy-node-badge' ).text( options.rootBadge )
+				];
+			}
+			return buildLink( title, 'Category' ).addClass( 's2-hierarchy-node-label' );
+		};
+
+		/* Recursive builder */
+		const buildNode = ( title, depth ) => {
+			const node = nodes[ title ];
+			if ( !node ) {
+				return null;
+			}
+
+			const parents = Array.isArray( node.parents ) ? node.parents : [];
+			const lazy = !!( loadMore && node.hasMore );
+			let collapsed = lazy || depth >= collapseDepth;
+			if ( has( options.collapsed, title ) ) {
+				collapsed = true;
+			} else if ( has( options.expanded, title ) && !lazy ) {
+				collapsed = false;
+			}
+			const $li = $( '<li>' )
+				.data( { title, depth } )
+				.attr( { role: 'treeitem', 'aria-level': depth + 1 } )
+				.toggleClass( 's2-hierarchy-node-virtual', depth === 0 && !!options.rootBadge );
+			const $content = $( '<span>' ).addClass( 's2-hierarchy-node-content' );
+
+			if ( parents.length ) {
+				$content.append(
+					$( '<span>' )
+						.addClass( 's2-hierarchy-toggle' )
+						.attr( 'aria-hidden', 'true' )
+						.text( collapsed ? '▶' : '▼' )
+				);
+				$li.attr( 'aria-expanded', String( !collapsed ) )
+					.addClass( 's2-hierarchy-has-children' )
+					.toggleClass( 's2-hierarchy-collapsed', collapsed )
+					.toggleClass( 's2-hierarchy-lazy', lazy );
+			}
+
+			$content.append( ' ', buildLabel( title, depth ) );
+			$li.append( $content );
+
+			if ( parents.length ) {
+				const $ul = $( '<ul>' ).addClass( 's2-hierarchy-tree-nested' ).attr( 'role', 'group' );
+				for ( const p of lazy ? [] : parents ) {
+					const child = buildNode( p, depth + 1 );
+					if ( child ) {
+						$ul.append( child );
+					}
+				}
+				$li.append( $ul );
+			}
+
+			return $li;
+		};
+
+		/* Fetch and build the children of a node flagged hasMore */
+		const expandLazy = ( $li, $toggle ) => {
+			if ( $li.hasClass( 's2-hierarchy-fetching' ) ) {
+				return;
+			}
+			const title = $li.data( 'title' );
+			$li.addClass( 's2-hierarchy-fetching' );
+			$toggle.text( '…' );
+
+			loadMore( title )
+				.then( ( more ) => {
+					mergeNodes( nodes, more );
+					const $nested = $li.children( '.s2-hierarchy-tree-nested' ).empty();
+					for ( const p of nodes[ title ].parents || [] ) {
+						$nested.append( buildNode( p, $li.data( 'depth' ) + 1 ) );
+					}
+					$li.removeClass( 's2-hierarchy-lazy s2-hierarchy-collapsed' )
+						.attr( 'aria-expanded', 'true' );
+					$toggle.text( '▼' );
+					onToggle( title, true );
+					restoreLazy( $nested );
+					attachKeyboard();
+				}, () => {
+					$toggle.text( '▶' );
+					mw.notify( msg( 'semanticschemas-hierarchy-error' ), { type: 'error' } );
+				} )
+				.always( () => $li.removeClass( 's2-hierarchy-fetching' ) );
+		};
+
+		/* Load lazy branches that should start expanded (e.g. from a shared link) */
+		function restoreLazy( $scope ) {
+			$scope.find( 'li.s2-hierarchy-lazy' ).each( function () {
+				const $li = $( this );
+				if ( has( options.expanded, $li.data( 'title' ) ) ) {
+					expandLazy( $li, $li.find( '> .s2-hierarchy-node-content > .s2-hierarchy-toggle' ) );
+				}
+			} );
+		}
+
+		const $rootTree = $( '<ul>' )
+			.addClass( 's2-hierarchy-tree' )
+			.attr( {
+				role: 'tree',
+				'aria-label': options.label || msg( 'semanticschemas-hierarchy-tree-title' )
+			} );
+		const $rootNode = buildNode( root, 0 );
+		if ( $rootNode ) {
+			$rootTree.append( $rootNode );
+		}
+
+		$container.empty().append( $rootTree );
+		restoreLazy( $rootTree );
+
+		const toggleOf = ( item ) => $( item )
+			.find( '> .s2-hierarchy-node-content > .s2-hierarchy-toggle' );
+
+		/* Arrow keys, Home/End and type-ahead (WAI-ARIA tree pattern) */
+		function attachKeyboard() {
+			mw.SemanticSchemasTreeNav.attach( $rootTree[ 0 ], {
+				labelSelector: '.s2-hierarchy-node-label',
+				setExpanded: ( item, expand ) => {
+					if ( $( item ).attr( 'aria-expanded' ) !== String( expand ) ) {
+						toggleOf( item ).trigger( 'click' );
+					}
+				},
+				// Follow the link; an unsaved root has none, so toggle it instead
+				activate: ( item ) => {
+					const link = $( item ).find( '> .s2-hierarchy-node-content > a' )[ 0 ];
+					if ( link ) {
+						link.click();
+					} else {
+						toggleOf( item ).trigger( 'click' );
+					}
+				}
+			} );
+		}
+		attachKeyboard();
+
+		/* Toggle handlers */
+		$container.off( 'click.ssToggle' );
+
+		$container.on( 'click.ssToggle', '.s2-hierarchy-toggle', function ( e ) {
+			e.preventDefault();
+			const $toggle = $( this );
+			const $li = $toggle.closest( 'li' );
+			const $nested = $li.children( '.s2-hierarchy-tree-nested' );
+
+			if ( $li.hasClass( 's2-hierarchy-lazy' ) ) {
+				expandLazy( $li, $toggle );
+				return;
+			}
+
+			const expanded = $li.attr( 'aria-expanded' ) === 'true';
+			if ( expanded ) {
+				$nested.slideUp( 200 );
+				$toggle.text( '▶' );
+				$li.addClass( 's2-hierarchy-collapsed' );
+			} else {
+				$nested.slideDown( 200 );
+				$toggle.text( '▼' );
+				$li.removeClass( 's2-hierarchy-collapsed' );
+			}
+			$li.attr( 'aria-expanded', String( !expanded ) );
+			onToggle( $li.data( 'title' ), !expanded );
+		} );
+	}
+
+	/* =======================================================================
+	 * PROPERTY DETAIL POPOVER
+	 * ======================================================================= */
+
+	/* One shared popover element, moved next to whichever link is active */
+	const POPOVER_ID = 's2-prop-popover';
+	let $popover = null;
+	let popoverTimer = null;
+
+	/**
+	 * Build the definition list shown in a property popover.
+	 *
+	 * @param {Object} p Inherited property entry from the hierarchy API
+	 * @return {jQuery}
+	 */
+	function buildPropertyDetails( p ) {
+		if ( !p.datatype ) {
+			return $( '<p>' ).addClass( 's2-prop-popover-missing' )
+				.text( msg( 'semanticschemas-hierarchy-detail-missing' ) );
+		}
+
+		const $dl = $( '<dl>' );
+		const row = ( key, value ) => $dl.append(
+			// Messages that can be used here:
+			// * semanticschemas-hierarchy-detail-datatype
+			// * semanticschemas-hierarchy-detail-allowed-values
+			// * semanticschemas-hierarchy-detail-allowed-category
+			// * semanticschemas-hierarchy-detail-allowed-namespace
+			// * semanticschemas-hierarchy-detail-multiple
+			// * semanticschemas-hierarchy-detail-input-type
+			$( '<dt>' ).text( msg( 'semanticschemas-hierarchy-detail-' + key ) ),
+			$( '<dd>' ).append( value )
+		);
+
+		row( 'datatype', p.datatype );
+		if ( p.allowedValues && p.allowedValues.length ) {
+			row( 'allowed-values', p.allowedValues.join( ', ' ) );
+		}
+		if ( p.allowedCategory ) {
+			row( 'allowed-category', buildLink( 'Category:' + p.allowedCategory, 'Category' ) );
+		}
+		if ( p.allowedNamespace ) {
+			row( 'allowed-namespace', p.allowedNamespace );
+		}
+		row( 'multiple', msg( isRequired( p.allowsMultipleValues ) ?
+			'semanticschemas-hierarchy-detail-multiple-yes' :
+			'semanticschemas-hierarchy-detail-multiple-no' ) );
+		if ( p.inputType ) {
+			row( 'input-type', p.inputType );
+		}
+
+		return $( '<div>' ).append(
+			p.description ? $( '<p>' ).addClass( 's2-prop-popover-description' ).text( p.description ) : '',
+			$dl
+		);
+	}
+
+	function hidePropertyPopover() {
+		clearTimeout( popoverTimer );
+		if ( $popover ) {
+			$popover.prop( 'hidden', true );
+		}
+	}
+
+	/* Short grace period so the pointer can move from the link onto the popover */
+	const scheduleHidePopover = () => {
+		clearTimeout( popoverTimer );
+		popoverTimer = setTimeout( hidePropertyPopover, 150 );
+	};
+
+	function showPropertyPopover( $anchor, p ) {
+		clearTimeout( popoverTimer );
+		if ( !$popover ) {
+			$popover = $( '<div>' )
+				.attr( { id: POPOVER_ID, role: 'tooltip' } )
+				.addClass( 's2-prop-popover' )
+				.on( 'mouseenter', () => clearTimeout( popoverTimer ) )
+				.on( 'mouseleave', scheduleHidePopover )
+				.appendTo( document.body );
+		}
+
+		$popover.empty()
+			.append(
+				$( '<div>' ).addClass( 's2-prop-popover-title' ).text( stripPrefix( p.propertyTitle, 'Property' ) ),
+				buildPropertyDetails( p )
+			)
+			.prop( 'hidden', false );
+
+		/* Below the link, kept inside the viewport horizontally */
+		const rect = $anchor[ 0 ].getBoundingClientRect();
+		const maxLeft = document.documentElement.clientWidth - $popover.outerWidth() - 8;
+		$popover.css( {
+			top: rect.bottom + window.pageYOffset + 6,
+			left: Math.max( 8, Math.min( rect.left, maxLeft ) ) + window.pageXOffset
+		} );
+	}
+
+	/**
+	 * Show property details while the link is hovered or focused.
+	 *
+	 * @param {jQuery} $link Property link
+	 * @param {Object} p Inherited property entry from the hierarchy API
+	 * @return {jQuery} $link
+	 */
+	function attachPropertyPopover( $link, p ) {
+		return $link
+			.attr( 'aria-describedby', POPOVER_ID )
+			.on( 'mouseenter focus', () => showPropertyPopover( $link, p ) )
+			.on( 'mouseleave', scheduleHidePopover )
+			.on( 'blur', hidePropertyPopover )
+			.on( 'keydown', ( e ) => {
+				if ( e.key === 'Escape' ) {
+					hidePropertyPopover();
+				}
+			} );
+	}
+
+	/* =======================================================================
+	 * PROPERTY OVERRIDES
+	 * ======================================================================= */
+
+	/**
+	 * List every ancestor declaring a property (most specific first), marking
+	 * the declaration that wins and each required/optional change relative to
+	 * the next, more general declaration.
+	 *
+	 * @param {Object} p Inherited property entry from the hierarchy API
+	 * @return {jQuery|null} Collapsible list, or null when only one ancestor declares it
+	 */
+	function buildDeclarations( p ) {
+		const list = p.declarations || [];
+		if ( list.length < 2 ) {
+			return null;
+		}
+
+		const $ol = $( '<ol>' ).addClass( 's2-prop-declarations' );
+		list.forEach( ( d, i ) => {
+			const required = isRequired( d.required );
+			const $item = $( '<li>' ).append(
+				buildLink( d.sourceCategory, 'Category' ),
+				' ',
+				$( '<span>' ).addClass( 's2-prop-declaration-flag' ).text( requiredLabel( required ) )
+			);
+
+			if ( d.sourceCategory === p.sourceCategory ) {
+				$item.addClass( 's2-prop-declaration-winner' ).append(
+					' ',
+					$( '<span>' ).addClass( 's2-prop-declaration-wins' )
+						.text( msg( 'semanticschemas-hierarchy-declaration-wins' ) )
+				);
+			}
+
+			const general = list[ i + 1 ];
+			if ( general && isRequired( general.required ) !== required ) {
+				$item.addClass( 's2-prop-declaration-changed' ).append(
+					' ',
+					$( '<span>' ).addClass( 's2-prop-declaration-change' ).text( required ?
+						msg( 'semanticschemas-hierarchy-flip-promoted' ) :
+						msg( 'semanticschemas-hierarchy-flip-demoted' ) )
+				);
+			}
+
+			$ol.append( $item );
+		} );
+
+		return $( '<details>' ).addClass( 's2-prop-overrides' ).append(
+			$( '<summary>' ).text( mw.msg( 'semanticschemas-hierarchy-declared-by', list.length ) ),
+			$ol
+		);
+	}
+
+	/* =======================================================================
+	 * PROPERTIES — GROUPED BY CATEGORY
+	 * ======================================================================= */
+
+	/**
+	 * Table of inherited properties with one row per declaring category.
+	 *
+	 * @param {Object[]} props Inherited property entries from the hierarchy API
+	 * @return {jQuery}
+	 */
+	function renderPropertiesByCategory( props ) {
+		if ( !props.length ) {
+			return $( '<p>' ).addClass( 's2-hierarchy-empty' ).text(
+				msg( 'semanticschemas-hierarchy-no-properties' )
+			);
+		}
+
+		const grouped = {};
+		for ( const p of props ) {
+			const s = p.sourceCategory || '';
+			if ( !grouped[ s ] ) {
+				grouped[ s ] = [];
+			}
+			grouped[ s ].push( p );
+		}
+
+		const $table = $( '<table>' )
+			.addClass( 'wikitable s2-prop-table' )
+			.append(
+				$( '<thead>' ).append(
+					$( '<tr>' )
+						.append( $( '<th>' ).text( msg( 'semanticschemas-hierarchy-source-category' ) ) )
+						.append( $( '<th>' ).text( msg( 'semanticschemas-hierarchy-properties' ) ) )
+				)
+			);
+
+		const $tbody = $( '<tbody>' );
+
+		for ( const source of sortedKeys( grouped ) ) {
+			const list = grouped[ source ];
+			const $row = $( '<tr>' );
+
+			/* Source cell */
+			const $srcCell = $( '<td>' ).addClass( 's2-prop-source-cell' );
+			if ( source ) {
+				$srcCell.append( buildLink( source, 'Category' ) );
+			} else {
+				$srcCell.text( msg( 'semanticschemas-hierarchy-unknown-category' ) );
+			}
+
+			/* Properties cell */
+			const $propList = $( '<ul>' ).addClass( 's2-prop-list' );
+
+			for ( const p of list ) {
+				const $li = $( '<li>' )
+					.addClass( isRequired( p.required ) ? 's2-prop-required' : 's2-prop-optional' );
+
+				if ( p.propertyTitle ) {
+					$li.append(
+						attachPropertyPopover( buildLink( p.propertyTitle, 'Property' ), p ),
+						' ',
+						$( '<span>' )
+							.addClass( 's2-prop-badge' )
+							.text( requiredLabel( p.required ) ),
+						buildDeclarations( p )
+					);
+				} else {
+					$li.text( msg( 'semanticschemas-hierarchy-unnamed-property' ) );
+				}
+
+				$propList.append( $li );
+			}
+
+			$row.append( $srcCell )
+				.append( $( '<td>' ).addClass( 's2-prop-list-cell' ).append( $propList ) );
+			$tbody.append( $row );
+		}
+
+		return $table.append( $tbody );
+	}
+
+	/* =======================================================================
+	 * PROPERTIES — REQUIRED vs OPTIONAL
+	 * ======================================================================= */
+
+	/**
+	 * Required and optional sections listing inherited properties with the
+	 * category each one comes from.
+	 *
+	 * @param {Object[]} props Inherited property entries from the hierarchy API
+	 * @return {jQuery}
+	 */
+	function renderPropertiesByType( props ) {
+		const required = [];
+		const optional = [];
+		for ( const p of props ) {
+			( isRequired( p.required ) ? required : optional ).push( p );
+		}
+
+		const buildList = ( arr, css ) => {
+			const $ul = $( '<ul>' ).addClass( 's2-prop-list s2-prop-list-by-type' );
+			for ( const p of arr ) {
+				const $li = $( '<li>' ).addClass( css );
+
+				if ( p.propertyTitle ) {
+					$li.append( attachPropertyPopover( buildLink( p.propertyTitle, 'Property' ), p ) );
+
+					if ( p.sourceCategory ) {
+						$li.append(
+							' ',
+							$( '<span>' ).addClass( 's2-prop-source-label' ).append(
+								'(',
+								buildLink( p.sourceCategory, 'Category' ),
+								')'
+							)
+						);
+					}
+
+					$li.append( buildDeclarations( p ) );
+				} else {
+					$li.text( msg( 'semanticschemas-hierarchy-unnamed-property' ) );
+				}
+
+				$ul.append( $li );
+			}
+			return $ul;
+		};
+
+		const $root = $( '<div>' ).addClass( 's2-prop-by-type' );
+
+		if ( required.length ) {
+			$root.append(
+				$( '<div>' ).addClass( 's2-prop-type-section s2-prop-type-required-section' )
+					.append( $( '<h4>' ).addClass( 's2-prop-type-heading' ).text(
+						mw.msg( 'semanticschemas-hierarchy-required-properties', required.length )
+					) )
+					.append( buildList( required, 's2-prop-required' ) )
+			);
+		}
+
+		if ( optional.length ) {
+			$root.append(
+				$( '<div>' ).addClass( 's2-prop-type-section s2-prop-type-optional-section' )
+					.append( $( '<h4>' ).addClass( 's2-prop-type-heading' ).text(
+						mw.msg( 'semanticschemas-hierarchy-optional-properties', optional.length )
+					) )
+					.append( buildList( optional, 's2-prop-optional' ) )
+			);
+		}
+
+		return $root;
+	}
+
+	/* =======================================================================
+	 * SUBOBJECT TABLE
+	 * ======================================================================= */
+
+	/**
+	 * Table of inherited subobjects with their source category and
+	 * required state.
+	 *
+	 * @param {Object[]} list Inherited subobject entries from the hierarchy API
+	 * @return {jQuery}
+	 */
+	function renderSubobjects( list ) {
+		if ( !list.length ) {
+			return $( '<p>' ).addClass( 's2-hierarchy-empty' ).text(
+				msg( 'semanticschemas-hierarchy-no-subobjects' )
+			);
+		}
+
+		const $table = $( '<table>' )
+			.addClass( 'wikitable s2-subobject-summary' )
+			.append(
+				$( '<thead>' ).append(
+					$( '<tr>' )
+						.append( $( '<th>' ).text( msg( 'semanticschemas-hierarchy-subobject-name' ) ) )
+						.append( $( '<th>' ).text( msg( 'semanticschemas-hierarchy-source-category' ) ) )
+						.append( $( '<th>' ).text( msg( 'semanticschemas-hierarchy-required-state' ) ) )
+				)
+			);
+
+		const $tbody = $( '<tbody>' );
+
+		for ( const s of list ) {
+			$tbody.append(
+				$( '<tr>' )
+					.append( $( '<td>' ).append( buildLink( s.subobjectTitle, 'Category' ) ) )
+					.append( $( '<td>' ).append( buildLink( s.sourceCategory, 'Category' ) ) )
+					.append(
+						$( '<td>' )
+							.addClass( isRequired( s.required ) ? 's2-prop-required' : 's2-prop-optional' )
+							.text( requiredLabel( s.required ) )
+					)
+			);
+		}
+
+		return $table.append( $tbody );
+	}
+
+	/* =======================================================================
+	 * PUBLIC API
+	 * ======================================================================= */
+
+	mw.SemanticSchemasRenderers = {
+		/**
+		 * @param {string} title
+		 * @param {string} prefix Namespace name without the colon
+		 * @return {string} Title without the prefix; '' for a missing title
+		 */
+		stripPrefix,
+
+		/**
+		 * @param {*} val Flag from the hierarchy API (1/0 or boolean)
+		 * @return {boolean}
+		 */
+		isRequired,
+
+		/**
+		 * @param {string} fullTitle Page title including namespace
+		 * @param {string} displayPrefix Namespace to leave out of the link text
+		 * @return {jQuery} Link, or a dash for a missing title
+		 */
+		buildLink,
+
+		/**
+		 * @param {jQuery} $container Emptied and given the message
+		 * @param {string} text Plain text message
+		 */
+		renderEmpty,
+
+		mergeNodes,
+		renderTree,
+		attachPropertyPopover,
+		buildDeclarations,
+		renderPropertiesByCategory,
+		renderPropertiesByType,
+		renderSubobjects
+	};
+
+}( mw, jQuery ) );
@@ -0,0 +1,246 @@
+/**
+ * SemanticSchemas Tree Keyboard Navigation
+ * ========================================
+ * WAI-ARIA tree pattern shared by the hierarchy widget, the form preview
+ * and the category tree of Special:CreateSemanticPage.
+ *
+ * Trees mark up their items with role="treeitem" and aria-level, and
+ * expandable items with aria-expanded. Navigation only relies on document
+ * order and aria-level, so items may either nest their children (role="group")
+ * or be followed by them (aria-owns), as the create page's flat tree does.
+ *
+ * Keys:
+ * - Up/Down: previous/next visible item
+ * - Right: expand a collapsed item, or move to its first child
+ * - Left: collapse an expanded item, or move to its parent
+ * - Home/End: first/last visible item
+ * - Enter/Space: activate the item (follow its link, toggle its checkbox)
+ * - Printable characters: move to the next item starting with the typed text
+ *
+ * Exposes: mw.SemanticSchemasTreeNav
+ *
+ * @param {Object} mw
+ */
+
+( function ( mw ) {
+	'use strict';
+
+	/* How long typed characters are combined into one search (ms) */
+	const TYPEAHEAD_RESET = 500;
+
+	/**
+	 * @param {Element} item
+	 * @return {number}
+	 */
+	const levelOf = ( item ) => Number( item.getAttribute( 'aria-level' ) ) || 1;
+
+	/**
+	 * Items inside collapsed branches or hidden by a filter have no layout box.
+	 *
+	 * @param {Element} item
+	 * @return {boolean}
+	 */
+	const isVisible = ( item ) => item.getClientRects().length > 0;
+
+	/**
+	 * @param {Element} tree
+	 * @return {Element[]} Visible items in document order
+	 */
+	const visibleItems = ( tree ) => Array.prototype.filter.call(
+		tree.querySelectorAll( '[role="treeitem"]' ),
+		isVisible
+	);
+
+	/**
+	 * Make one item the tree's single tab stop and move focus to it.
+	 *
+	 * @param {Element} tree
+	 * @param {Element} item
+	 */
+	function focusItem( tree, item ) {
+		tree.querySelectorAll( '[role="treeitem"][tabindex="0"]' ).forEach( ( other ) => {
+			other.setAttribute( 'tabindex', '-1' );
+		} );
+		item.setAttribute( 'tabindex', '0' );
+		item.focus();
+	}
+
+	/**
+	 * Closest preceding item one level up.
+	 *
+	 * @param {Element[]} items Visible items
+	 * @param {number} index Index of the item
+	 * @return {Element|null}
+	 */
+	function parentOf( items, index ) {
+		const level = levelOf( items[ index ] );
+		for ( let i = index - 1; i >= 0; i-- ) {
+			if ( levelOf( items[ i ] ) < level ) {
+				return items[ i ];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * @param {Element} tree
+	 * @param {Object} options
+	 * @param {KeyboardEvent} e
+	 */
+	function onKeydown( tree, options, e ) {
+		const current = e.target.closest( '[role="treeitem"]' );
+		if ( !current || e.target !== current || e.altKey || e.ctrlKey || e.metaKey ) {
+			return;
+		}
+
+		const items = visibleItems( tree );
+		const index = items.indexOf( current );
+		const expanded = current.getAttribute( 'aria-expanded' );
+		let target = null;
+
+		switch ( e.key ) {
+			case 'ArrowDown':
+				target = items[ index + 1 ];
+				break;
+			case 'ArrowUp':
+				target = items[ index - 1 ];
+				break;
+			case 'Home':
+				target = items[ 0 ];
+				break;
+			case 'End':
+				target = items[ items.length - 1 ];
+				break;
+			case 'ArrowRight':
+				if ( expanded === 'false' ) {
+					options.setExpanded( current, true );
+				} else if ( expanded === 'true' && items[ index + 1 ] &&
+					levelOf( items[ index + 1 ] ) > levelOf( current )
+				) {
+					target = items[ index + 1 ];
+				}
+				break;
+			case 'ArrowLeft':
+				if ( expanded === 'true' ) {
+					options.setExpanded( current, false );
+				} else {
+					target = parentOf( items, index );
+				}
+				break;
+			case 'Enter':
+			case ' ':
+				options.activate( current );
+				break;
+			default:
+				if ( e.key.length === 1 && /\S/.test( e.key ) ) {
+					target = typeAhead( tree, options, items, index, e.key );
+					break;
+				}
+				return;
+		}
+
+		e.preventDefault();
+		if ( target ) {
+			focusItem( tree, target );
+		}
+	}
+
+	/**
+	 * Find the next item whose label starts with the characters typed so far.
+	 *
+	 * @param {Element} tree
+	 * @param {Object} options
+	 * @param {Element[]} items Visible items
+	 * @param {number} index Index of the focused item
+	 * @param {string} key Typed character
+	 * @return {Element|null}
+	 */
+	function typeAhead( tree, options, items, index, key ) {
+		const state = tree.s2TreeNavTyped || { text: '', timer: null };
+		clearTimeout( state.timer );
+		state.text += key.toLowerCase();
+		state.timer = setTimeout( () => {
+			state.text = '';
+		}, TYPEAHEAD_RESET );
+		tree.s2TreeNavTyped = state;
+
+		// A repeated first character cycles through the items starting with it
+		const start = state.text.length === 1 ? index + 1 : index;
+		for ( let i = 0; i < items.length; i++ ) {
+			const item = items[ ( start + i ) % items.length ];
+			if ( options.label( item ).trim().toLowerCase().indexOf( state.text ) === 0 ) {
+				return item;
+			}
+		}
+		return null;
+	}
+
+	mw.SemanticSchemasTreeNav = {
+		/**
+		 * Add keyboard navigation to a tree. Safe to call again after the
+		 * tree's items changed: it only re-applies the roving tabindex.
+		 *
+		 * @param {Element} tree Element with role="tree"
+		 * @param {Object} options
+		 * @param {Function} options.setExpanded Called with (item, expanded) to
+		 *  expand or collapse an item; must update its aria-expanded
+		 * @param {Function} [options.activate] Called with the item on Enter/Space;
+		 *  defaults to clicking the item's first link or checkbox
+		 * @param {string} [options.labelSelector] Element holding the item's name,
+		 *  for type-ahead; defaults to the whole item
+		 */
+		attach: ( tree, options ) => {
+			const items = tree.querySelectorAll( '[role="treeitem"]' );
+			let hasTabStop = false;
+			items.forEach( ( item ) => {
+				// Links and checkboxes are reached through their item
+				item.querySelectorAll( 'a[href], input, button' ).forEach( ( el ) => {
+					if ( el.closest( '[role="treeitem"]' ) === item ) {
+						el.setAttribute( 'tabindex', '-1' );
+					}
+				} );
+				if ( item.getAttribute( 'tabindex' ) === '0' && isVisible( item ) && !hasTabStop ) {
+					hasTabStop = true;
+				} else {
+					item.setAttribute( 'tabindex', '-1' );
+				}
+			} );
+			if ( !hasTabStop && items.length ) {
+				items[ 0 ].setAttribute( 'tabindex', '0' );
+			}
+
+			if ( tree.s2TreeNav ) {
+				return;
+			}
+
+			const settings = {
+				setExpanded: options.setExpanded,
+				activate: options.activate || ( ( item ) => {
+					const target = item.querySelector( 'a[href], input' );
+					if ( target ) {
+						target.click();
+					}
+				} ),
+				label: ( item ) => {
+					const el = options.labelSelector && item.querySelector( options.labelSelector );
+					return ( el || item ).textContent;
+				}
+			};
+			tree.s2TreeNav = settings;
+
+			tree.addEventListener( 'keydown', ( e ) => onKeydown( tree, settings, e ) );
+
+			// Clicking an item makes it the tab stop
+			tree.addEventListener( 'click', ( e ) => {
+				const item = e.target.closest( '[role="treeitem"]' );
+				if ( item && tree.contains( item ) ) {
+					tree.querySelectorAll( '[role="treeitem"][tabindex="0"]' ).forEach( ( other ) => {
+						other.setAttribute( 'tabindex', '-1' );
+					} );
+					item.setAttribute( 'tabindex', '0' );
+				}
+			} );
+		}
+	};
+
+}( mw ) );
@@ -4,6 +4,7 @@ namespace MediaWiki\Extension\SemanticSchemas\Api;
 
 use ApiBase;
 use MediaWiki\Extension\SemanticSchemas\Service\CategoryHierarchyService;
+use Wikimedia\ParamValidator\TypeDef\IntegerDef;
 
 /**
  * ApiSemanticSchemasHierarchy
@@ -15,7 +16,12 @@ use MediaWiki\Extension\SemanticSchemas\Service\CategoryHierarchyService;
  *
  * Supports:
  *   - Real category lookup
- *   - Virtual lookup (via ?parents[]=Parent1&parents[]=Parent2)
+ *   - Virtual lookup (via ?parents[]=Parent1&parents[]=Parent2); for an
+ *     existing category the result includes the `impact` on its descendants
+ *   - Depth-limited lookup (via ?depth=N) for lazily expanded trees;
+ *     nodes whose links were cut off are flagged with hasMore=1
+ *   - Batch lookup (via ?category=A|B|C): one shared nodes/descendants map
+ *     plus a `categories` object keyed by the requested names
  *
  * Security:
  *   - By default, this is a read-only public API (no authentication required)
@@ -47,20 +53,40 @@ class ApiSemanticSchemasHierarchy extends ApiBase {
 		}
 
 		$params = $this->extractRequestParams();
-		$categoryName = $this->stripPrefix( $params['category'] );
+		$categoryNames = array_values( array_unique( array_map(
+			fn ( $name ) => $this->stripPrefix( $name ),
+			$params['category']
+		) ) );
+		// An empty category= value yields no names; it gets the empty result as before
+		$categoryName = $categoryNames[0] ?? '';
 		$parentList = $params['parents'] ?? [];
+		$depth = $params['depth'];
 
-		if ( $parentList ) {
+		if ( count( $categoryNames ) > 1 ) {
+			// Batch mode: several widgets on one page
+			if ( $parentList ) {
+				$this->dieWithError( 'apierror-semanticschemas-batch-parents', 'batch-parents' );
+			}
+			$data = $this->hierarchyService->getBatchHierarchyData( $categoryNames, $depth );
+		} elseif ( $parentList ) {
 			// Virtual mode: form preview request
 			$cleanParents = $this->sanitizeParentList( $parentList );
-			$data = $this->hierarchyService->getVirtualHierarchyData( $categoryName, $cleanParents );
+			$data = $this->hierarchyService->getVirtualHierarchyData( $categoryName, $cleanParents, $depth );
 		} else {
 			// Normal mode
-			$data = $this->hierarchyService->getHierarchyData( $categoryName );
+			$data = $this->hierarchyService->getHierarchyData( $categoryName, $depth );
 		}
 
 		// Convert required=true/false → integers (MediaWiki drops boolean false keys)
-		$this->normalizeRequiredFlags( $data );
+		if ( isset( $data['categories'] ) ) {
+			foreach ( $data['categories'] as &$entry ) {
+				$this->normalizeRequiredFlags( $entry );
+			}
+			unset( $entry );
+		} else {
+			$this->normalizeRequiredFlags( $data );
+		}
+		$this->normalizeNodeFlags( $data );
 
 		// Add result
 		$this->getResult()->addValue(
@@ -108,7 +134,8 @@ class ApiSemanticSchemasHierarchy extends ApiBase {
 	 * ===================================================================== */
 
 	/**
-	 * Convert required flags from bool → int (1/0) for JSON reliability.
+	 * Convert required, allowsMultipleValues, hidden and unresolvable flags from bool → int (1/0)
+	 * for JSON reliability.
 	 */
 	private function normalizeRequiredFlags( array &$data ): void {
 		$convertList = static function ( array &$items, string $key ) {
@@ -122,11 +149,34 @@ class ApiSemanticSchemasHierarchy extends ApiBase {
 
 		if ( isset( $data['inheritedProperties'] ) ) {
 			$convertList( $data['inheritedProperties'], 'required' );
+			$convertList( $data['inheritedProperties'], 'allowsMultipleValues' );
+			$convertList( $data['inheritedProperties'], 'hidden' );
+			foreach ( $data['inheritedProperties'] as &$entry ) {
+				$convertList( $entry['declarations'], 'required' );
+			}
+			unset( $entry );
 		}
 
 		if ( isset( $data['inheritedSubobjects'] ) ) {
 			$convertList( $data['inheritedSubobjects'], 'required' );
 		}
+
+		if ( isset( $data['impact'] ) ) {
+			$convertList( $data['impact'], 'unresolvable' );
+		}
+	}
+
+	/**
+	 * Convert hasMore flags on graph nodes from bool → int (1) for JSON reliability.
+	 */
+	private function normalizeNodeFlags( array &$data ): void {
+		foreach ( [ 'nodes', 'descendants' ] as $graphKey ) {
+			foreach ( $data[$graphKey] ?? [] as $title => $node ) {
+				if ( isset( $node['hasMore'] ) ) {
+					$data[$graphKey][$title]['hasMore'] = $node['hasMore'] ? 1 : 0;
+				}
+			}
+		}
 	}
 
 	/* =====================================================================
@@ -137,6 +187,7 @@ class ApiSemanticSchemasHierarchy extends ApiBase {
 		return [
 			'category' => [
 				self::PARAM_TYPE => 'string',
+				self::PARAM_ISMULTI => true,
 				self::PARAM_REQUIRED => true,
 				self::PARAM_HELP_MSG => 'semanticschemas-api-param-category',
 			],
@@ -146,6 +197,13 @@ class ApiSemanticSchemasHierarchy extends ApiBase {
 				self::PARAM_REQUIRED => false,
 				self::PARAM_HELP_MSG => 'semanticschemas-api-param-parents',
 			],
+			'depth' => [
+				self::PARAM_TYPE => 'integer',
+				self::PARAM_REQUIRED => false,
+				IntegerDef::PARAM_MIN => 0,
+				IntegerDef::PARAM_MAX => 50,
+				self::PARAM_HELP_MSG => 'semanticschemas-api-param-depth',
+			],
 		];
 	}
 
@@ -157,6 +215,10 @@ class ApiSemanticSchemasHierarchy extends ApiBase {
 			=> 'apihelp-semanticschemas-hierarchy-example-2',
 			'action=semanticschemas-hierarchy&category=NewCategory&parents=Faculty|Person'
 			=> 'apihelp-semanticschemas-hierarchy-example-3',
+			'action=semanticschemas-hierarchy&category=PhDStudent&depth=2'
+			=> 'apihelp-semanticschemas-hierarchy-example-4',
+			'action=semanticschemas-hierarchy&category=Faculty|PI|Person&depth=3'
+			=> 'apihelp-semanticschemas-hierarchy-example-5',
 		];
 	}
 
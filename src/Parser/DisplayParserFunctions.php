@@ -12,6 +12,7 @@ use PPFrame;
  * Registers SemanticSchemas's parser functions:
  *
  *   {{#semanticschemas_hierarchy:}}
+ *   {{#semanticschemas_hierarchy:Person|sections=tree,properties|tab=type|collapse=1|compact=yes}}
  *   {{#semanticschemas_load_form_preview:}}
  *   {{#s2counter:prefix}}
  *
@@ -29,6 +30,15 @@ use PPFrame;
  */
 class DisplayParserFunctions {
 
+	/** Widget sections that can be picked with sections= */
+	private const HIERARCHY_SECTIONS = [ 'tree', 'properties', 'subobjects' ];
+
+	/** Properties tabs that can be opened with tab= */
+	private const HIERARCHY_TABS = [ 'category', 'type' ];
+
+	/** Named arguments understood by {{#semanticschemas_hierarchy:}} */
+	private const HIERARCHY_OPTIONS = [ 'sections', 'tab', 'collapse', 'compact' ];
+
 	/* =====================================================================
 	 * REGISTRATION
 	 * ===================================================================== */
@@ -77,7 +87,19 @@ class DisplayParserFunctions {
 	public function renderHierarchy( Parser $parser, PPFrame $frame, array $args ) {
 		// Argument 0: Optional Category Name (e.g. "Person")
 		// If provided, we force display for that category regardless of the current page.
-		$category = isset( $args[0] ) ? trim( $frame->expand( $args[0] ) ) : null;
+		// Remaining key=value arguments configure the widget (see parseHierarchyOptions).
+		$category = null;
+		$named = [];
+		foreach ( $args as $i => $arg ) {
+			$text = trim( $frame->expand( $arg ) );
+			$parts = explode( '=', $text, 2 );
+			$key = strtolower( trim( $parts[0] ) );
+			if ( count( $parts ) === 2 && in_array( $key, self::HIERARCHY_OPTIONS, true ) ) {
+				$named[$key] = trim( $parts[1] );
+			} elseif ( $i === 0 && $text !== '' ) {
+				$category = $text;
+			}
+		}
 
 		if ( !$category ) {
 			// Fallback: Infer from current page title if in Category namespace
@@ -98,11 +120,52 @@ class DisplayParserFunctions {
 				'id' => 's2-category-hierarchy-' . md5( $category ),
 				'class' => 's2-hierarchy-block mw-collapsible',
 				'data-category' => $category
-			],
+			] + self::parseHierarchyOptions( $named ),
 			Html::element( 'p', [], wfMessage( 'semanticschemas-hierarchy-loading' )->text() )
 		) );
 	}
 
+	/**
+	 * Turn the widget's named parser-function arguments into data attributes
+	 * read by ext.semanticschemas.hierarchy.js. Unknown or invalid values are
+	 * dropped so the widget falls back to its defaults.
+	 *
+	 *   sections=tree,properties  Sections to show (tree, properties, subobjects)
+	 *   tab=type                  Initially open properties tab (category, type)
+	 *   collapse=1                Tree levels shown expanded below the root
+	 *   compact=yes               Small box without toolbars and export menu
+	 *
+	 * @param array<string,string> $named Lowercased option name => raw value
+	 * @return array<string,string> Data attributes
+	 */
+	public static function parseHierarchyOptions( array $named ): array {
+		$attrs = [];
+
+		if ( isset( $named['sections'] ) ) {
+			$sections = array_map( 'trim', explode( ',', strtolower( $named['sections'] ) ) );
+			$sections = array_values( array_intersect( self::HIERARCHY_SECTIONS, $sections ) );
+			if ( $sections ) {
+				$attrs['data-sections'] = implode( ',', $sections );
+			}
+		}
+
+		$tab = strtolower( $named['tab'] ?? '' );
+		if ( in_array( $tab, self::HIERARCHY_TABS, true ) ) {
+			$attrs['data-tab'] = $tab;
+		}
+
+		$collapse = $named['collapse'] ?? '';
+		if ( $collapse !== '' && ctype_digit( $collapse ) ) {
+			$attrs['data-collapse-depth'] = (string)(int)$collapse;
+		}
+
+		if ( in_array( strtolower( $named['compact'] ?? '' ), [ '1', 'yes', 'true' ], true ) ) {
+			$attrs['data-compact'] = '1';
+		}
+
+		return $attrs;
+	}
+
 	/* =====================================================================
 	 * PAGE-SCOPED COUNTER
 	 * ===================================================================== */
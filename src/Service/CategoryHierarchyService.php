@@ -2,16 +2,25 @@
 
 namespace MediaWiki\Extension\SemanticSchemas\Service;
 
+use InvalidArgumentException;
+use MediaWiki\Extension\SemanticSchemas\Generator\PropertyInputMapper;
+use MediaWiki\Extension\SemanticSchemas\Schema\CategoryModel;
 use MediaWiki\Extension\SemanticSchemas\Schema\InheritanceResolver;
+use MediaWiki\Extension\SemanticSchemas\Schema\PropertyModel;
 use MediaWiki\Extension\SemanticSchemas\Store\WikiCategoryStore;
+use MediaWiki\Extension\SemanticSchemas\Store\WikiPropertyStore;
+use RuntimeException;
 
 /**
  * CategoryHierarchyService
  * -------------------------
  * Builds structured hierarchy data describing:
  *   - Category ancestry (nodes + parents)
- *   - Inherited properties (required/optional, source category)
+ *   - Category descendants (descendants + children)
+ *   - Inherited properties (required/optional, source category, property details)
  *   - Inherited subobjects (required/optional, source category)
+ *   - Validation problems of a virtual (unsaved) category
+ *   - Impact of re-parenting an existing category on its descendants
  *
  * This data feeds:
  *   - The hierarchy API for frontend visualization
@@ -21,9 +30,20 @@ use MediaWiki\Extension\SemanticSchemas\Store\WikiCategoryStore;
 class CategoryHierarchyService {
 
 	private WikiCategoryStore $categoryStore;
+	private WikiPropertyStore $propertyStore;
+	private PropertyInputMapper $inputMapper;
 
-	public function __construct( WikiCategoryStore $categoryStore ) {
+	/** @var array<string,PropertyModel|null> Property pages read for the payload being built */
+	private array $properties = [];
+
+	public function __construct(
+		WikiCategoryStore $categoryStore,
+		WikiPropertyStore $propertyStore,
+		PropertyInputMapper $inputMapper
+	) {
 		$this->categoryStore = $categoryStore;
+		$this->propertyStore = $propertyStore;
+		$this->inputMapper = $inputMapper;
 	}
 
 	/* =====================================================================
@@ -33,20 +53,84 @@ class CategoryHierarchyService {
 	/**
 	 * Hierarchy for an existing category.
 	 *
+	 * When $depth is given, the ancestor and descendant graphs stop after
+	 * that many levels; nodes whose links were cut off carry hasMore=true
+	 * so clients can fetch the rest on demand.
+	 *
+	 * @param string $categoryName Category name (no namespace)
+	 * @param int|null $depth Maximum levels to walk (null = unlimited)
+	 * @return array
+	 */
+	public function getHierarchyData( string $categoryName, ?int $depth = null ): array {
+		$this->properties = [];
+		return $this->buildHierarchyData(
+			$categoryName,
+			$depth,
+			$this->categoryStore->getAllCategories()
+		);
+	}
+
+	/* =====================================================================
+	 * PUBLIC: BATCH LOOKUP
+	 * ===================================================================== */
+
+	/**
+	 * Hierarchy for several existing categories, loading the wiki's
+	 * categories only once.
+	 *
+	 * The ancestor and descendant graphs of all requested categories are
+	 * merged into shared `nodes` and `descendants` maps; everything else
+	 * (rootCategory, inherited properties and subobjects) is keyed by the
+	 * requested name under `categories`.
+	 *
+	 * @param string[] $categoryNames Category names (no namespace)
+	 * @param int|null $depth Maximum levels to walk (null = unlimited)
+	 * @return array
+	 */
+	public function getBatchHierarchyData( array $categoryNames, ?int $depth = null ): array {
+		$result = [
+			'nodes' => [],
+			'descendants' => [],
+			'categories' => [],
+		];
+		$this->properties = [];
+
+		$allCategories = $this->categoryStore->getAllCategories();
+
+		foreach ( array_unique( $categoryNames ) as $name ) {
+			$data = $this->buildHierarchyData( $name, $depth, $allCategories );
+
+			$this->mergeGraph( $result['nodes'], $data['nodes'] );
+			$this->mergeGraph( $result['descendants'], $data['descendants'] );
+			unset( $data['nodes'], $data['descendants'] );
+
+			$result['categories'][$name] = $data;
+		}
+
+		return $result;
+	}
+
+	/* =====================================================================
+	 * INTERNAL: REAL CATEGORY HIERARCHY
+	 * ===================================================================== */
+
+	/**
 	 * @param string $categoryName Category name (no namespace)
+	 * @param int|null $depth Maximum levels to walk (null = unlimited)
+	 * @param array<string,\MediaWiki\Extension\SemanticSchemas\Schema\CategoryModel> $allCategories
 	 * @return array
 	 */
-	public function getHierarchyData( string $categoryName ): array {
+	private function buildHierarchyData( string $categoryName, ?int $depth, array $allCategories ): array {
 		$fullName = "Category:$categoryName";
 
 		$result = [
 			'rootCategory' => $fullName,
 			'nodes' => [],
+			'descendants' => [],
 			'inheritedProperties' => [],
 			'inheritedSubobjects' => [],
 		];
 
-		$allCategories = $this->categoryStore->getAllCategories();
 		if ( !$allCategories ) {
 			return $result;
 		}
@@ -57,13 +141,23 @@ class CategoryHierarchyService {
 		}
 
 		$resolver = new InheritanceResolver( $allCategories );
-		$ancestors = $resolver->getAncestors( $categoryName );
 
 		// Build node graph
-		$visited = [];
-		foreach ( $ancestors as $ancestor ) {
-			$this->buildNodeTree( $ancestor, $allCategories, $result['nodes'], $visited );
-		}
+		$result['nodes'] = $this->walkGraph(
+			[ $categoryName ],
+			$this->parentLinks( $allCategories ),
+			'parents',
+			$depth
+		);
+
+		// Build descendant graph (categories inheriting from this one)
+		$childrenOf = $this->buildChildMap( $allCategories );
+		$result['descendants'] = $this->walkGraph(
+			[ $categoryName ],
+			static fn ( $name ) => $childrenOf[$name] ?? [],
+			'children',
+			$depth
+		);
 
 		// Collect inheritance metadata
 		$result['inheritedProperties'] = $this->extractInheritedProperties(
@@ -86,13 +180,24 @@ class CategoryHierarchyService {
 	 * ===================================================================== */
 
 	/**
-	 * Hierarchy for a category that does not yet exist.
+	 * Hierarchy for a category that does not yet exist, or for an existing
+	 * one with edited parents.
+	 *
+	 * The result also carries a `validation` list of problems saving the
+	 * category would run into (see validateVirtualCategory()). For an
+	 * existing category, `impact` lists the descendants whose inherited
+	 * properties or subobjects would change (see computeDescendantImpact()).
 	 *
 	 * @param string $categoryName New category name (no namespace)
 	 * @param string[] $parentNames Parents (no namespace)
+	 * @param int|null $depth Maximum levels to walk (null = unlimited)
 	 * @return array
 	 */
-	public function getVirtualHierarchyData( string $categoryName, array $parentNames ): array {
+	public function getVirtualHierarchyData(
+		string $categoryName,
+		array $parentNames,
+		?int $depth = null
+	): array {
 		$fullName = "Category:$categoryName";
 
 		$result = [
@@ -102,7 +207,12 @@ class CategoryHierarchyService {
 			'inheritedSubobjects' => [],
 		];
 
+		$this->properties = [];
 		$allCategories = $this->categoryStore->getAllCategories();
+		[ $result['validation'], $acceptedParents ] = $this->validateVirtualCategory(
+			$categoryName, $parentNames, $allCategories
+		);
+
 		if ( !$allCategories ) {
 			// No existing categories → standalone root
 			$result['nodes'][$fullName] = [
@@ -112,10 +222,9 @@ class CategoryHierarchyService {
 			return $result;
 		}
 
-		// Only include valid parents
-		$parents = array_values(
-			array_filter( $parentNames, static fn ( $p ) => isset( $allCategories[$p] ) )
-		);
+		// Only walk and inherit from parents that passed validation; the others
+		// would make the resolver throw for a cyclic or inconsistent hierarchy
+		$parents = $acceptedParents;
 
 		// Virtual root node
 		$result['nodes'][$fullName] = [
@@ -123,10 +232,18 @@ class CategoryHierarchyService {
 			'parents' => array_map( static fn ( $p ) => "Category:$p", $parents ),
 		];
 
-		// Build tree for ancestors of valid parents
-		$visited = [];
-		foreach ( $parents as $p ) {
-			$this->buildNodeTree( $p, $allCategories, $result['nodes'], $visited );
+		// Build tree for ancestors of valid parents (one level below the virtual root)
+		if ( $depth !== null && $depth < 1 ) {
+			if ( $parents ) {
+				$result['nodes'][$fullName]['hasMore'] = true;
+			}
+		} else {
+			$result['nodes'] += $this->walkGraph(
+				$parents,
+				$this->parentLinks( $allCategories ),
+				'parents',
+				$depth === null ? null : $depth - 1
+			);
 		}
 
 		// Extract inherited properties
@@ -140,6 +257,19 @@ class CategoryHierarchyService {
 			$allCategories
 		);
 
+		// Impact uses every existing parent, so a cycle shows up as
+		// descendants that could no longer be resolved
+		if ( isset( $allCategories[$categoryName] ) ) {
+			$existingParents = array_filter(
+				$parentNames, static fn ( $p ) => isset( $allCategories[$p] )
+			);
+			$result['impact'] = $this->computeDescendantImpact(
+				$categoryName,
+				array_values( array_diff( $existingParents, [ $categoryName ] ) ),
+				$allCategories
+			);
+		}
+
 		return $result;
 	}
 
@@ -148,38 +278,100 @@ class CategoryHierarchyService {
 	 * ===================================================================== */
 
 	/**
-	 * Add a category and its ancestors into the node graph.
+	 * Breadth-first walk from one or more categories along parent or child links.
+	 *
+	 * Breadth-first (rather than depth-first) so that a category reachable
+	 * over several paths is always recorded at its shortest distance, which
+	 * keeps the depth cut-off deterministic for diamond-shaped hierarchies.
+	 *
+	 * @param string[] $start Category names (no namespace) at depth 0
+	 * @param callable(string):(string[]|null) $linksOf Linked category names,
+	 *   or null when the category is not known and should be skipped
+	 * @param string $linkKey Node key for the links ('parents' or 'children')
+	 * @param int|null $maxDepth Levels to expand (null = unlimited)
+	 * @return array<string,array> Full title → node entry
 	 */
-	private function buildNodeTree(
-		string $name,
-		array $all,
-		array &$nodes,
-		array &$visited
-	): void {
-		if ( isset( $visited[$name] ) ) {
-			return;
-		}
-		$visited[$name] = true;
+	private function walkGraph( array $start, callable $linksOf, string $linkKey, ?int $maxDepth ): array {
+		$graph = [];
+		$depthOf = array_fill_keys( $start, 0 );
+		$queue = $start;
+
+		while ( $queue ) {
+			$name = array_shift( $queue );
+			$links = $linksOf( $name );
+			if ( $links === null ) {
+				continue;
+			}
+
+			$full = "Category:$name";
+			$graph[$full] = [
+				'title' => $full,
+				$linkKey => array_map( static fn ( $l ) => "Category:$l", $links ),
+			];
 
-		$model = $all[$name] ?? null;
-		if ( $model === null ) {
-			return;
+			$expand = $maxDepth === null || $depthOf[$name] < $maxDepth;
+			foreach ( $links as $l ) {
+				if ( isset( $depthOf[$l] ) ) {
+					continue;
+				}
+				if ( !$expand ) {
+					if ( $linksOf( $l ) !== null ) {
+						$graph[$full]['hasMore'] = true;
+					}
+					continue;
+				}
+				$depthOf[$l] = $depthOf[$name] + 1;
+				$queue[] = $l;
+			}
 		}
 
-		$full = "Category:$name";
-		$parents = array_map(
-			static fn ( $p ) => "Category:$p",
-			$model->getParents()
-		);
+		return $graph;
+	}
 
-		$nodes[$full] = [
-			'title' => $full,
-			'parents' => $parents,
-		];
+	/**
+	 * Merge a graph into another. Entries still flagged hasMore are replaced
+	 * by complete ones, so one category's depth cut-off never hides a branch
+	 * another category's walk already expanded.
+	 *
+	 * @param array<string,array> &$target Graph to update
+	 * @param array<string,array> $source Graph from walkGraph()
+	 */
+	private function mergeGraph( array &$target, array $source ): void {
+		foreach ( $source as $title => $node ) {
+			if ( !isset( $target[$title] ) || !empty( $target[$title]['hasMore'] ) ) {
+				$target[$title] = $node;
+			}
+		}
+	}
 
-		foreach ( $model->getParents() as $p ) {
-			$this->buildNodeTree( $p, $all, $nodes, $visited );
+	/**
+	 * Parent lookup for walkGraph(); unknown categories are skipped.
+	 *
+	 * @param array<string,\MediaWiki\Extension\SemanticSchemas\Schema\CategoryModel> $all
+	 * @return callable(string):(string[]|null)
+	 */
+	private function parentLinks( array $all ): callable {
+		return static fn ( $name ) => isset( $all[$name] ) ? $all[$name]->getParents() : null;
+	}
+
+	/**
+	 * Invert the parent relationships of all categories.
+	 *
+	 * @param array<string,\MediaWiki\Extension\SemanticSchemas\Schema\CategoryModel> $all
+	 * @return array<string,string[]> Parent name → sorted child names
+	 */
+	private function buildChildMap( array $all ): array {
+		$childrenOf = [];
+		foreach ( $all as $name => $model ) {
+			foreach ( $model->getParents() as $p ) {
+				$childrenOf[$p][] = (string)$name;
+			}
+		}
+		foreach ( $childrenOf as &$children ) {
+			sort( $children );
 		}
+		unset( $children );
+		return $childrenOf;
 	}
 
 	/* =====================================================================
@@ -191,12 +383,7 @@ class CategoryHierarchyService {
 		InheritanceResolver $resolver,
 		array $all
 	): array {
-		$output = [];
-		$seen = [];
-		$this->collectPropertiesFromAncestors(
-			$resolver->getAncestors( $name ), $all, $output, $seen
-		);
-		return $output;
+		return $this->collectPropertiesFromAncestors( $resolver->getAncestors( $name ), $all );
 	}
 
 	private function extractInheritedSubobjects(
@@ -240,17 +427,15 @@ class CategoryHierarchyService {
 			return [];
 		}
 
-		$output = [];
-		$seen = [];
 		$resolver = new InheritanceResolver( $all );
 
+		// Each parent's chain in turn; shared ancestors are declared once
+		$ancestors = [];
 		foreach ( $parents as $parent ) {
-			$this->collectPropertiesFromAncestors(
-				$resolver->getAncestors( $parent ), $all, $output, $seen
-			);
+			$ancestors = array_merge( $ancestors, $resolver->getAncestors( $parent ) );
 		}
 
-		return $output;
+		return $this->collectPropertiesFromAncestors( array_values( array_unique( $ancestors ) ), $all );
 	}
 
 	/**
@@ -281,43 +466,319 @@ class CategoryHierarchyService {
 		return $output;
 	}
 
+	/* =====================================================================
+	 * INTERNAL: VIRTUAL-CATEGORY VALIDATION
+	 * ===================================================================== */
+
+	/**
+	 * Problems a category with the given parents would have once saved,
+	 * mirroring InheritanceResolver::validateInheritance() and the reference
+	 * checks of SchemaValidator.
+	 *
+	 * Each entry is [ 'code', 'severity' ('error'|'warning'), 'params' ].
+	 * Codes: invalid-name, self-parent, missing-parent, cycle,
+	 * inconsistent-order, namespace-conflict, missing-property,
+	 * missing-subobject.
+	 *
+	 * Also returns the parents whose ancestors could be resolved: existing
+	 * categories other than the category itself, not part of a cycle.
+	 *
+	 * @param string $name Category name (no namespace)
+	 * @param string[] $parentNames Parents (no namespace)
+	 * @param array<string,CategoryModel> $all
+	 * @return array [ array[] $problems, string[] $acceptedParents ]
+	 */
+	private function validateVirtualCategory( string $name, array $parentNames, array $all ): array {
+		$problems = [];
+		$add = static function ( string $code, string $severity, array $params ) use ( &$problems ) {
+			$problems[] = [ 'code' => $code, 'severity' => $severity, 'params' => $params ];
+		};
+
+		// Same rule as the CategoryModel constructor, which would throw below
+		$validName = trim( $name ) !== '' && !preg_match( '/[<>{}|#]/', $name );
+		if ( !$validName ) {
+			$add( 'invalid-name', 'error', [ $name ] );
+		}
+
+		$resolver = new InheritanceResolver( $all );
+		$parents = [];
+		$ancestors = [];
+
+		foreach ( array_unique( $parentNames ) as $parent ) {
+			if ( $parent === $name ) {
+				$add( 'self-parent', 'error', [ $name ] );
+				continue;
+			}
+			if ( !isset( $all[$parent] ) ) {
+				$add( 'missing-parent', 'warning', [ $parent ] );
+				continue;
+			}
+			try {
+				$chain = $resolver->getAncestors( $parent );
+			} catch ( RuntimeException ) {
+				// The existing hierarchy above this parent is already cyclic
+				$add( 'cycle', 'error', [ $parent, $parent ] );
+				continue;
+			}
+			if ( in_array( $name, $chain, true ) ) {
+				$add( 'cycle', 'error', [ $parent, $name ] );
+				continue;
+			}
+			$parents[] = $parent;
+			$ancestors = array_merge( $ancestors, $chain );
+		}
+
+		// C3 can still fail for acyclic parents listed in a conflicting order
+		if ( $validName && count( $parents ) > 1 ) {
+			$virtual = $all;
+			$virtual[$name] = new CategoryModel( $name, [ 'parents' => $parents ] );
+			try {
+				( new InheritanceResolver( $virtual ) )->getAncestors( $name );
+			} catch ( RuntimeException ) {
+				$add( 'inconsistent-order', 'error', [ implode( ', ', $parents ) ] );
+			}
+		}
+
+		$ancestors = array_values( array_unique( $ancestors ) );
+
+		$namespaces = [];
+		foreach ( $ancestors as $ancestor ) {
+			$ns = $all[$ancestor]->getTargetNamespace();
+			if ( $ns !== null ) {
+				$namespaces[$ns][] = $ancestor;
+			}
+		}
+		if ( count( $namespaces ) > 1 ) {
+			$params = [];
+			foreach ( $namespaces as $ns => $sources ) {
+				$params[] = "$ns ({$sources[0]})";
+			}
+			$add( 'namespace-conflict', 'warning', $params );
+		}
+
+		$seen = [];
+		foreach ( $ancestors as $ancestor ) {
+			foreach ( $all[$ancestor]->getPropertyFields() as $field ) {
+				$prop = $field->getName();
+				if ( !isset( $seen["p:$prop"] ) && $this->readProperty( $prop ) === null ) {
+					$add( 'missing-property', 'warning', [ $prop, $ancestor ] );
+				}
+				$seen["p:$prop"] = true;
+			}
+			foreach ( $all[$ancestor]->getSubobjectFields() as $field ) {
+				$sub = $field->getName();
+				if ( !isset( $seen["s:$sub"] ) && !isset( $all[$sub] ) ) {
+					$add( 'missing-subobject', 'warning', [ $sub, $ancestor ] );
+				}
+				$seen["s:$sub"] = true;
+			}
+		}
+
+		return [ $problems, $parents ];
+	}
+
+	/* =====================================================================
+	 * INTERNAL: RE-PARENTING IMPACT
+	 * ===================================================================== */
+
+	/**
+	 * Descendants of an existing category whose inherited properties or
+	 * subobjects change when its parents are replaced, in breadth-first
+	 * order.
+	 *
+	 * Each entry lists the property and subobject titles gained and lost.
+	 * Descendants whose ancestors can no longer be linearized are flagged
+	 * unresolvable instead. The list is empty when the category cannot be
+	 * built with the proposed parents.
+	 *
+	 * @param string $name Category name (no namespace)
+	 * @param string[] $parents Proposed parents (existing categories only)
+	 * @param array<string,CategoryModel> $all
+	 * @return array[]
+	 */
+	private function computeDescendantImpact( string $name, array $parents, array $all ): array {
+		$proposed = $all;
+		try {
+			$proposed[$name] = new CategoryModel( $name, [ 'parents' => $parents ] + $all[$name]->toArray() );
+		} catch ( InvalidArgumentException ) {
+			// Not a category that could be saved; validation already reports why
+			return [];
+		}
+
+		$before = new InheritanceResolver( $all );
+		$after = new InheritanceResolver( $proposed );
+
+		$childrenOf = $this->buildChildMap( $all );
+		$descendants = array_keys( $this->walkGraph(
+			[ $name ],
+			static fn ( $n ) => $childrenOf[$n] ?? [],
+			'children',
+			null
+		) );
+
+		$impact = [];
+		foreach ( $descendants as $title ) {
+			$descendant = substr( $title, strlen( 'Category:' ) );
+			if ( $descendant === $name ) {
+				continue;
+			}
+
+			try {
+				$old = $this->inheritedFieldTitles( $before->getAncestors( $descendant ), $all );
+			} catch ( RuntimeException ) {
+				// Already broken before the edit; nothing to compare against
+				continue;
+			}
+			try {
+				$new = $this->inheritedFieldTitles( $after->getAncestors( $descendant ), $proposed );
+			} catch ( RuntimeException ) {
+				$impact[] = [ 'category' => $title, 'unresolvable' => true ];
+				continue;
+			}
+
+			$entry = [
+				'category' => $title,
+				'addedProperties' => array_values( array_diff( $new['properties'], $old['properties'] ) ),
+				'removedProperties' => array_values( array_diff( $old['properties'], $new['properties'] ) ),
+				'addedSubobjects' => array_values( array_diff( $new['subobjects'], $old['subobjects'] ) ),
+				'removedSubobjects' => array_values( array_diff( $old['subobjects'], $new['subobjects'] ) ),
+			];
+			if (
+				$entry['addedProperties'] || $entry['removedProperties'] ||
+				$entry['addedSubobjects'] || $entry['removedSubobjects']
+			) {
+				$impact[] = $entry;
+			}
+		}
+
+		return $impact;
+	}
+
+	/**
+	 * Property and subobject titles declared by a list of ancestors.
+	 *
+	 * @param string[] $ancestors Ancestor names (no namespace)
+	 * @param array<string,CategoryModel> $all
+	 * @return array{properties: string[], subobjects: string[]}
+	 */
+	private function inheritedFieldTitles( array $ancestors, array $all ): array {
+		$titles = [ 'properties' => [], 'subobjects' => [] ];
+		foreach ( $ancestors as $ancestor ) {
+			if ( !isset( $all[$ancestor] ) ) {
+				continue;
+			}
+			foreach ( $all[$ancestor]->getPropertyFields() as $field ) {
+				$titles['properties'][] = 'Property:' . $field->getName();
+			}
+			foreach ( $all[$ancestor]->getSubobjectFields() as $field ) {
+				$titles['subobjects'][] = 'Category:' . $field->getName();
+			}
+		}
+		$titles['properties'] = array_values( array_unique( $titles['properties'] ) );
+		$titles['subobjects'] = array_values( array_unique( $titles['subobjects'] ) );
+		return $titles;
+	}
+
 	/* =====================================================================
 	 * INTERNAL: ANCESTOR COLLECTION HELPERS
 	 * ===================================================================== */
 
 	/**
-	 * Iterate ancestors and collect properties with deduplication.
+	 * Iterate ancestors and collect one entry per property.
 	 *
-	 * @param string[] $ancestors Ordered ancestor list
+	 * Every ancestor declaring the property is listed under 'declarations'
+	 * (most specific first). The winning declaration mirrors
+	 * CategoryModel::mergeFieldModels(): required wins, so it is the most
+	 * specific required declaration, or the most specific one when none is
+	 * required. Its source and flag become the entry's sourceCategory and
+	 * required values.
+	 *
+	 * @param string[] $ancestors Ordered ancestor list (C3, most specific first)
 	 * @param array $all All category models keyed by name
-	 * @param array &$output Accumulates result entries
-	 * @param array &$seen Tracks already-collected item names
+	 * @return array List of inherited property descriptors
 	 */
-	private function collectPropertiesFromAncestors(
-		array $ancestors,
-		array $all,
-		array &$output,
-		array &$seen
-	): void {
+	private function collectPropertiesFromAncestors( array $ancestors, array $all ): array {
+		$declarations = [];
 		foreach ( $ancestors as $ancestor ) {
 			$model = $all[$ancestor] ?? null;
 			if ( !$model ) {
 				continue;
 			}
 
-			$source = "Category:$ancestor";
-
 			foreach ( $model->getPropertyFields() as $field ) {
-				if ( !isset( $seen[$field->getName()] ) ) {
-					$output[] = [
-						'propertyTitle' => 'Property:' . $field->getName(),
-						'sourceCategory' => $source,
-						'required' => $field->isRequired(),
-					];
-					$seen[$field->getName()] = true;
+				$declarations[$field->getName()][] = [
+					'sourceCategory' => "Category:$ancestor",
+					'required' => $field->isRequired(),
+				];
+			}
+		}
+
+		$output = [];
+		foreach ( $declarations as $name => $list ) {
+			$winner = $list[0];
+			foreach ( $list as $declaration ) {
+				if ( $declaration['required'] ) {
+					$winner = $declaration;
+					break;
 				}
 			}
+
+			$output[] = [
+				'propertyTitle' => "Property:$name",
+				'sourceCategory' => $winner['sourceCategory'],
+				'required' => $winner['required'],
+				'declarations' => $list,
+			] + $this->describeProperty( (string)$name );
+		}
+
+		return $output;
+	}
+
+	/**
+	 * Property metadata for the widget's detail popovers and the form preview.
+	 *
+	 * Null fields are dropped; the result is empty when the property page
+	 * does not exist. inputType mirrors FormGenerator, which always renders
+	 * "Has type" as a datatype dropdown.
+	 *
+	 * @param string $name Property name (no namespace)
+	 * @return array
+	 */
+	private function describeProperty( string $name ): array {
+		$property = $this->readProperty( $name );
+		if ( $property === null ) {
+			return [];
+		}
+
+		$inputType = strcasecmp( $name, 'Has type' ) === 0
+			? 'dropdown'
+			: $this->inputMapper->getInputType( $property );
+
+		return array_filter( [
+			'label' => $property->getLabel(),
+			'datatype' => $property->getDatatype(),
+			'description' => $property->getDescription(),
+			'allowedValues' => $property->getAllowedValues(),
+			'allowedCategory' => $property->getAllowedCategory(),
+			'allowedNamespace' => $property->getAllowedNamespace(),
+			'allowsMultipleValues' => $property->allowsMultipleValues(),
+			'inputType' => $inputType,
+			'hidden' => $property->isHidden(),
+		], static fn ( $v ) => $v !== null );
+	}
+
+	/**
+	 * Read a property page once per payload: validation and the property
+	 * details need the same pages.
+	 *
+	 * @param string $name Property name (no namespace)
+	 * @return PropertyModel|null Null when the page does not exist
+	 */
+	private function readProperty( string $name ): ?PropertyModel {
+		if ( !array_key_exists( $name, $this->properties ) ) {
+			$this->properties[$name] = $this->propertyStore->readProperty( $name );
 		}
+		return $this->properties[$name];
 	}
 
 	/**
@@ -23,7 +23,9 @@ return [
 		MediaWikiServices $services
 	): CategoryHierarchyService {
 		return new CategoryHierarchyService(
-			$services->get( 'SemanticSchemas.WikiCategoryStore' )
+			$services->get( 'SemanticSchemas.WikiCategoryStore' ),
+			$services->get( 'SemanticSchemas.WikiPropertyStore' ),
+			$services->get( 'SemanticSchemas.PropertyInputMapper' )
 		);
 	},
 
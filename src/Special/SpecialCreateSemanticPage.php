@@ -40,6 +40,9 @@ class SpecialCreateSemanticPage extends SpecialPage {
 	private NamespaceInfo $namespaceInfo;
 	private WikiPageFactory $wikiPageFactory;
 
+	/** Next s2-cat-group-N id, counted per rendering of the category tree */
+	private int $groupCounter = 0;
+
 	public function __construct(
 		WikiCategoryStore $categoryStore,
 		PageCreator $pageCreator,
@@ -69,10 +72,10 @@ class SpecialCreateSemanticPage extends SpecialPage {
 		if ( $request->wasPosted() && $request->getVal( 's2-action' ) === 'create-page' ) {
 			if ( !$this->getUser()->matchEditToken( $request->getVal( 'wpEditToken' ) ) ) {
 				$output->addHTML( Html::errorBox( 'Invalid session token. Please try again.' ) );
-			} else {
-				$this->processCreatePage();
+			} elseif ( $this->processCreatePage() ) {
 				return;
 			}
+			// After an error the form is shown again, for createpage.js to restore its draft
 		}
 
 		$this->showForm();
@@ -92,8 +95,12 @@ class SpecialCreateSemanticPage extends SpecialPage {
 			return;
 		}
 
-		// Pre-populate from query params (e.g. when arriving via "Add category" action)
-		$prefilledPageName = $request->getText( 's2-page-name', '' );
+		// Pre-populate from query params (e.g. when arriving via "Add category" action).
+		// A form shown again after a failed submission keeps its page only in add
+		// mode, which it posts along; createpage.js restores a create form from its draft.
+		$prefilledPageName = !$request->wasPosted() || $request->getBool( 's2-add-mode' )
+			? $request->getText( 's2-page-name', '' )
+			: '';
 		$existingRaw = $request->getText( 's2-existing', '' );
 		$existingCategories = $existingRaw !== ''
 			? array_flip( explode( '|', $existingRaw ) )
@@ -120,6 +127,7 @@ class SpecialCreateSemanticPage extends SpecialPage {
 			'id' => 's2-page-name',
 			'required' => true,
 			'placeholder' => $this->msg( 'semanticschemas-create-page-name-placeholder' )->text(),
+			'aria-describedby' => 's2-page-name-status',
 		];
 		if ( $isAddMode ) {
 			$pageNameAttrs['readonly'] = true;
@@ -128,7 +136,13 @@ class SpecialCreateSemanticPage extends SpecialPage {
 			Html::element( 'label', [ 'for' => 's2-page-name' ],
 				$this->msg( 'semanticschemas-create-page-name' )->text()
 			) .
-			Html::input( 's2-page-name', $prefilledPageName, 'text', $pageNameAttrs )
+			Html::input( 's2-page-name', $prefilledPageName, 'text', $pageNameAttrs ) .
+			// Filled by createpage.js: normalized title, namespace and whether it exists
+			Html::element( 'div', [
+				'id' => 's2-page-name-status',
+				'class' => 's2-page-name-status',
+				'aria-live' => 'polite',
+			] )
 		);
 
 		$metaCategories = [];
@@ -150,10 +164,18 @@ class SpecialCreateSemanticPage extends SpecialPage {
 
 		$output->addModules( [ 'ext.semanticschemas.createpage' ] );
 
-		$formHtml .= Html::openElement( 'div', [ 'class' => 'semanticschemas-form-group s2-create-categories' ] ) .
-			Html::element( 'label', [],
+		$formHtml .= Html::openElement( 'div', [ 'class' => 's2-create-body' ] ) .
+			Html::openElement( 'div', [ 'class' => 'semanticschemas-form-group s2-create-categories' ] ) .
+			Html::element( 'label', [ 'id' => 's2-cat-tree-label' ],
 				$this->msg( 'semanticschemas-create-select-categories' )->text()
 			) .
+			// Selected categories as removable chips, filled by createpage.js
+			Html::element( 'div', [
+				'id' => 's2-create-chips',
+				'class' => 's2-create-chips',
+				'aria-live' => 'polite',
+			] ) .
+			$this->renderShortcuts( $this->getPresets( $categoryMap ) ) .
 			Html::element( 'input', [
 				'type' => 'text',
 				'id' => 's2-cat-search',
@@ -161,11 +183,40 @@ class SpecialCreateSemanticPage extends SpecialPage {
 				'placeholder' => $this->msg( 'semanticschemas-create-search-placeholder' )->text(),
 				'autocomplete' => 'off',
 			] ) .
-			Html::openElement( 'div', [ 'class' => 's2-create-cat-grid' ] ) .
+			Html::openElement( 'div', [
+				'class' => 's2-create-cat-grid',
+				'role' => 'tree',
+				'aria-labelledby' => 's2-cat-tree-label',
+			] ) .
 			$checkboxes .
 			Html::closeElement( 'div' ) .
+			Html::closeElement( 'div' ) .
+			// Fields of the selected categories, filled by createpage.js
+			Html::rawElement( 'aside', [
+				'class' => 's2-create-fields',
+				'aria-labelledby' => 's2-create-fields-title',
+			],
+				Html::element( 'h3', [ 'id' => 's2-create-fields-title' ],
+					$this->msg( 'semanticschemas-create-fields-title' )->text()
+				) .
+				Html::element( 'div', [ 'id' => 's2-create-fields', 'class' => 's2-create-fields-body' ] )
+			) .
 			Html::closeElement( 'div' );
 
+		// Inputs for the required fields of the selection, filled by createpage.js
+		$formHtml .= Html::rawElement( 'fieldset', [
+			'class' => 'semanticschemas-form-group s2-create-values',
+			'hidden' => true,
+		],
+			Html::element( 'legend', [],
+				$this->msg( 'semanticschemas-create-values-title' )->text()
+			) .
+			Html::element( 'p', [ 'class' => 'semanticschemas-form-help' ],
+				$this->msg( 'semanticschemas-create-values-help' )->text()
+			) .
+			Html::element( 'div', [ 'id' => 's2-create-values', 'class' => 's2-create-values-body' ] )
+		);
+
 		// Meta-category quick-create buttons
 		if ( !$isAddMode && $metaCategories ) {
 			$buttonHtml = '';
@@ -190,6 +241,10 @@ class SpecialCreateSemanticPage extends SpecialPage {
 		}
 
 		// Submit
+		if ( $isAddMode ) {
+			$formHtml .= Html::hidden( 's2-add-mode', '1' ) .
+				Html::hidden( 's2-existing', $existingRaw );
+		}
 		$formHtml .= Html::hidden( 's2-action', 'create-page' ) .
 			Html::hidden( 'wpEditToken', $this->getUser()->getEditToken() ) .
 			Html::openElement( 'div', [ 'class' => 's2-create-actions' ] ) .
@@ -216,7 +271,11 @@ class SpecialCreateSemanticPage extends SpecialPage {
 		$output->addHTML( $container );
 	}
 
-	private function processCreatePage(): void {
+	/**
+	 * @return bool Whether the page was created or the user was sent on to
+	 *   its form; false after an error, when the form should be shown again
+	 */
+	private function processCreatePage(): bool {
 		$output = $this->getOutput();
 		$request = $this->getRequest();
 
@@ -229,14 +288,14 @@ class SpecialCreateSemanticPage extends SpecialPage {
 			$output->addHTML( Html::errorBox(
 				htmlspecialchars( $this->msg( 'semanticschemas-create-no-page-name' )->text(), ENT_QUOTES )
 			) );
-			return;
+			return false;
 		}
 
 		if ( !$selectedCategories ) {
 			$output->addHTML( Html::errorBox(
 				htmlspecialchars( $this->msg( 'semanticschemas-create-no-selection' )->text(), ENT_QUOTES )
 			) );
-			return;
+			return false;
 		}
 
 		$cats = [];
@@ -249,7 +308,7 @@ class SpecialCreateSemanticPage extends SpecialPage {
 						->text()
 					)
 				) );
-				return;
+				return false;
 			}
 			$cats[] = $cat;
 		}
@@ -257,13 +316,8 @@ class SpecialCreateSemanticPage extends SpecialPage {
 		// Determine namespace: find the selected category with a target namespace (at most one)
 		$ns = NS_MAIN;
 		foreach ( $cats as $cat ) {
-			$targetNamespace = $cat->getTargetNamespace();
-			if ( $targetNamespace !== null ) {
-				$nsIndex = $this->namespaceInfo
-					->getCanonicalIndex( strtolower( $targetNamespace ) );
-				if ( $nsIndex !== null ) {
-					$ns = $nsIndex;
-				}
+			if ( $cat->getTargetNamespace() !== null ) {
+				$ns = $this->resolveTargetNamespace( $cat );
 				break;
 			}
 		}
@@ -273,21 +327,10 @@ class SpecialCreateSemanticPage extends SpecialPage {
 			$output->addHTML( Html::errorBox(
 				htmlspecialchars( $this->msg( 'semanticschemas-create-invalid-title' )->text(), ENT_QUOTES )
 			) );
-			return;
-		}
-
-		// Single category: redirect directly to FormEdit
-		if ( count( $cats ) === 1 ) {
-			$formEditTitle = Title::makeTitleSafe(
-				NS_SPECIAL, 'FormEdit/' . $cats[0]->getName() . '/' . $pageTitle->getPrefixedText()
-			);
-			if ( $formEditTitle ) {
-				$output->redirect( $formEditTitle->getFullURL() );
-				return;
-			}
+			return false;
 		}
 
-		// Build inheritance resolver for parent detection
+		// Build inheritance resolver for parent detection and field values
 		$allCategories = $this->categoryStore->getAllCategories();
 		$categoryMap = [];
 		foreach ( $allCategories as $cat ) {
@@ -295,6 +338,28 @@ class SpecialCreateSemanticPage extends SpecialPage {
 		}
 		$resolver = new InheritanceResolver( $categoryMap );
 
+		$fieldValues = $this->assignFieldValues(
+			$this->getFieldValues(), $selectedCategories, $resolver
+		);
+
+		// Single category: redirect directly to FormEdit, prefilled with the entered values
+		if ( count( $cats ) === 1 ) {
+			$catName = $cats[0]->getName();
+			$formEditTitle = Title::makeTitleSafe(
+				NS_SPECIAL, 'FormEdit/' . $catName . '/' . $pageTitle->getPrefixedText()
+			);
+			if ( $formEditTitle ) {
+				// PageForms reads prefilled values as Template_name[param]
+				$query = [];
+				$queryName = str_replace( ' ', '_', $catName );
+				foreach ( $fieldValues[$catName] ?? [] as $param => $value ) {
+					$query[$queryName . '[' . $param . ']'] = $value;
+				}
+				$output->redirect( $formEditTitle->getFullURL( $query ) );
+				return true;
+			}
+		}
+
 		// Build page content: preserve existing content, replace parent→child
 		// template calls where applicable, and append genuinely new ones.
 		// Build set of templates already used on the page via parser output
@@ -375,18 +440,25 @@ class SpecialCreateSemanticPage extends SpecialPage {
 				'FormEdit/CompositeForm/' . $pageTitle->getPrefixedText()
 			)->getFullURL() . '?action=purge';
 
-		if ( $newCalls === '' && $pageContent === $existingContent ) {
-			// Nothing changed - directly redirect
-			$output->redirect( $compositeUrl );
-			return;
-		}
-
 		if ( $newCalls !== '' ) {
 			$pageContent = $pageContent !== ''
 				? rtrim( $pageContent ) . "\n\n" . $newCalls
 				: $newCalls;
 		}
 
+		// Entered values fill their category's call; values already on the page win
+		foreach ( $fieldValues as $catName => $params ) {
+			$pageContent = $this->mergeParamsIntoTemplate(
+				$pageContent, $catName, array_map( [ self::class, 'escapeTemplateValue' ], $params )
+			);
+		}
+
+		if ( $pageContent === $existingContent ) {
+			// Nothing changed - directly redirect
+			$output->redirect( $compositeUrl );
+			return true;
+		}
+
 		$editSummary = $existingContent !== ''
 			? 'SemanticSchemas: Updated category templates'
 			: 'SemanticSchemas: Created multi-category page';
@@ -405,10 +477,85 @@ class SpecialCreateSemanticPage extends SpecialPage {
 					ENT_QUOTES
 				)
 			) );
-			return;
+			return false;
 		}
 
 		$this->delayedRedirect( $compositeUrl, self::DELAY_SECONDS );
+		return true;
+	}
+
+	/**
+	 * Namespace index of the category's target namespace, main if the name
+	 * is not a canonical namespace name.
+	 */
+	private function resolveTargetNamespace( CategoryModel $cat ): int {
+		return $this->namespaceInfo
+			->getCanonicalIndex( strtolower( $cat->getTargetNamespace() ?? '' ) ) ?? NS_MAIN;
+	}
+
+	/**
+	 * Field values entered on the form, keyed by property name. Blank values
+	 * are dropped.
+	 *
+	 * @return array<string,string>
+	 */
+	private function getFieldValues(): array {
+		$values = [];
+		foreach ( $this->getRequest()->getArray( 's2-values', [] ) as $propertyName => $value ) {
+			if ( !is_string( $value ) ) {
+				continue;
+			}
+			$value = trim( $value );
+			if ( $value !== '' ) {
+				$values[(string)$propertyName] = $value;
+			}
+		}
+		return $values;
+	}
+
+	/**
+	 * Assign each entered value to the first selected category whose
+	 * effective schema has the property. Values of properties none of them
+	 * has are dropped.
+	 *
+	 * @param array<string,string> $values Values keyed by property name
+	 * @param string[] $categoryNames Selected categories, in order
+	 * @param InheritanceResolver $resolver
+	 * @return array<string,array<string,string>> Category → template parameter → value
+	 */
+	private function assignFieldValues(
+		array $values, array $categoryNames, InheritanceResolver $resolver
+	): array {
+		$assigned = [];
+		foreach ( $categoryNames as $catName ) {
+			if ( !$values ) {
+				break;
+			}
+			if ( !$resolver->hasCategory( $catName ) ) {
+				continue;
+			}
+			foreach ( $resolver->getEffectiveCategory( $catName )->getPropertyFields() as $field ) {
+				$name = $field->getName();
+				if ( isset( $values[$name] ) ) {
+					$assigned[$catName][$field->getParameterName()] = $values[$name];
+					unset( $values[$name] );
+				}
+			}
+		}
+		return $assigned;
+	}
+
+	/**
+	 * Escape the characters that would break a template call. Line breaks
+	 * are kept, so that textarea values stay multi-line.
+	 */
+	private static function escapeTemplateValue( string $value ): string {
+		return strtr( $value, [
+			'|' => '&#124;',
+			'{' => '&#123;',
+			'}' => '&#125;',
+			"\r\n" => "\n",
+		] );
 	}
 
 	/**
@@ -455,15 +602,19 @@ class SpecialCreateSemanticPage extends SpecialPage {
 	}
 
 	/**
-	 * Extract |key=value pairs from a template call string.
+	 * Extract |key=value pairs from a template call string. A value runs up
+	 * to the next line starting with "|", so it may span several lines.
 	 *
 	 * @param string $templateCall e.g. "{{Cat2\n|description=hello\n}}"
 	 * @return array<string,string>
 	 */
 	private function extractTemplateParams( string $templateCall ): array {
 		$params = [];
-		preg_match_all( '/\|([^=\n]+)=([^\n]*)/', $templateCall, $matches, PREG_SET_ORDER );
-		foreach ( $matches as $match ) {
+		$body = preg_replace( '/^\{\{[^\n]*\n|\}\}\s*$/', '', $templateCall );
+		foreach ( preg_split( '/\n(?=\|)/', $body ) as $chunk ) {
+			if ( !preg_match( '/^\|([^=\n]+)=(.*)$/s', $chunk, $match ) ) {
+				continue;
+			}
 			$key = trim( $match[1] );
 			$value = trim( $match[2] );
 			if ( $key !== '' && $value !== '' ) {
@@ -501,7 +652,71 @@ class SpecialCreateSemanticPage extends SpecialPage {
 			return $pageContent;
 		}
 
-		return preg_replace( $pattern, '$1$2' . $newParams . '$3', $pageContent, 1 );
+		// A callback, so that "$" and backslashes in values are not read as backreferences
+		return preg_replace_callback(
+			$pattern,
+			static fn ( $match ) => $match[1] . $match[2] . $newParams . $match[3],
+			$pageContent,
+			1
+		);
+	}
+
+	/**
+	 * Presets from $wgSemanticSchemasCreatePresets, limited to categories in
+	 * the tree. Presets left without any category are dropped.
+	 *
+	 * @param array<string,CategoryModel> $categoryMap Categories of the tree
+	 * @return array<string,string[]> Preset name → category names
+	 */
+	private function getPresets( array $categoryMap ): array {
+		$presets = [];
+		foreach ( (array)$this->getConfig()->get( 'SemanticSchemasCreatePresets' ) as $name => $names ) {
+			$names = array_values( array_unique( array_filter(
+				(array)$names,
+				static fn ( $cat ) => is_string( $cat ) && isset( $categoryMap[$cat] )
+			) ) );
+			if ( $names ) {
+				$presets[(string)$name] = $names;
+			}
+		}
+		return $presets;
+	}
+
+	/**
+	 * Preset buttons and the container for recently used categories, which
+	 * createpage.js fills from the browser's storage.
+	 *
+	 * @param array<string,string[]> $presets Preset name → category names
+	 */
+	private function renderShortcuts( array $presets ): string {
+		$html = '';
+		if ( $presets ) {
+			$buttons = '';
+			foreach ( $presets as $name => $names ) {
+				$buttons .= Html::element( 'button', [
+					'type' => 'button',
+					'class' => 'cdx-button s2-create-preset',
+					'data-categories' => implode( '|', $names ),
+					'title' => implode( ', ', $names ),
+				], $name );
+			}
+			$html .= Html::rawElement( 'div', [ 'class' => 's2-create-shortcut-row s2-create-presets' ],
+				Html::element( 'span', [ 'class' => 's2-create-shortcut-label' ],
+					$this->msg( 'semanticschemas-create-presets' )->text()
+				) .
+				$buttons
+			);
+		}
+		$html .= Html::rawElement( 'div', [
+			'class' => 's2-create-shortcut-row s2-create-recent',
+			'hidden' => true,
+		],
+			Html::element( 'span', [ 'class' => 's2-create-shortcut-label' ],
+				$this->msg( 'semanticschemas-create-recent' )->text()
+			) .
+			Html::element( 'span', [ 'id' => 's2-create-recent-list', 'class' => 's2-create-recent-list' ] )
+		);
+		return Html::rawElement( 'div', [ 'class' => 's2-create-shortcuts' ], $html );
 	}
 
 	/**
@@ -541,24 +756,33 @@ class SpecialCreateSemanticPage extends SpecialPage {
 		array $existingCategories,
 		int $depth
 	): string {
+		if ( $depth === 0 ) {
+			$this->groupCounter = 0;
+		}
 		$html = '';
 		foreach ( $names as $name ) {
 			if ( !isset( $categoryMap[$name] ) ) {
 				continue;
 			}
-			$hasChildren = !empty( $childrenOf[$name] );
+			// Children follow their item rather than nesting in it, so the
+			// item claims them for the accessibility tree with aria-owns
+			$groupId = !empty( $childrenOf[$name] ) ? 's2-cat-group-' . $this->groupCounter++ : null;
 			$itemHtml = $this->renderCategoryItem(
-				$categoryMap[$name], $resolver, $existingCategories, $depth, $hasChildren
+				$categoryMap[$name], $resolver, $existingCategories, $depth, $groupId
 			);
 
 			$html .= $itemHtml;
 
-			if ( $hasChildren ) {
+			if ( $groupId !== null ) {
 				$childrenHtml = $this->renderCategoryTree(
 					$childrenOf[$name], $childrenOf, $categoryMap,
 					$resolver, $existingCategories, $depth + 1
 				);
-				$html .= Html::openElement( 'div', [ 'class' => 's2-create-cat-children' ] ) .
+				$html .= Html::openElement( 'div', [
+					'class' => 's2-create-cat-children',
+					'id' => $groupId,
+					'role' => 'group',
+				] ) .
 					$childrenHtml .
 					Html::closeElement( 'div' );
 			}
@@ -571,7 +795,7 @@ class SpecialCreateSemanticPage extends SpecialPage {
 		InheritanceResolver $resolver,
 		array $existingCategories,
 		int $depth,
-		bool $hasChildren = false
+		?string $groupId = null
 	): string {
 		$catName = $cat->getName();
 		$catLabel = $cat->getLabel();
@@ -596,6 +820,8 @@ class SpecialCreateSemanticPage extends SpecialPage {
 		];
 		if ( $targetNamespace !== '' ) {
 			$attrs['data-namespace'] = $targetNamespace;
+			// Resolved here so that createpage.js checks titles in the namespace used on submit
+			$attrs['data-namespace-index'] = $this->resolveTargetNamespace( $cat );
 		}
 		if ( $isExisting ) {
 			$attrs['disabled'] = true;
@@ -625,18 +851,26 @@ class SpecialCreateSemanticPage extends SpecialPage {
 		if ( $isExisting ) {
 			$rowClass .= ' is-existing';
 		}
-		if ( $hasChildren ) {
+		if ( $groupId !== null ) {
 			$rowClass .= ' has-children';
 		}
 
-		$toggleHtml = $hasChildren
-			? Html::element( 'span', [ 'class' => 's2-create-cat-toggle' ], '▸' )
+		$toggleHtml = $groupId !== null
+			? Html::element( 'span', [ 'class' => 's2-create-cat-toggle', 'aria-hidden' => 'true' ], '▸' )
 			: Html::element( 'span', [ 'class' => 's2-create-cat-toggle-spacer' ] );
 
-		return Html::openElement( 'div', [
+		$rowAttrs = [
 			'class' => $rowClass,
 			'style' => $depth > 0 ? '--depth: ' . $depth : '',
-		] ) .
+			'role' => 'treeitem',
+			'aria-level' => $depth + 1,
+		];
+		if ( $groupId !== null ) {
+			$rowAttrs['aria-expanded'] = 'true';
+			$rowAttrs['aria-owns'] = $groupId;
+		}
+
+		return Html::openElement( 'div', $rowAttrs ) .
 			$toggleHtml .
 			Html::openElement( 'label', [ 'for' => $instanceId, 'class' => 's2-create-cat-label-wrap' ] ) .
 			Html::check( 's2-categories[]', $isExisting, $attrs ) .
@@ -1237,9 +1237,10 @@ class SpecialSemanticSchemas extends SpecialPage {
 	 * Render the hierarchy category selection form.
 	 *
 	 * @param string $categoryValue Current category value from request
+	 * @param string $compareValue Category to compare against (empty for none)
 	 * @return string HTML form
 	 */
-	private function renderHierarchyForm( string $categoryValue ): string {
+	private function renderHierarchyForm( string $categoryValue, string $compareValue ): string {
 		$form = Html::openElement( 'form', [
 			'method' => 'get',
 			'class' => 's2-hierarchy-special-form',
@@ -1260,7 +1261,18 @@ class SpecialSemanticSchemas extends SpecialPage {
 			'id' => 's2-hierarchy-category-input',
 			'name' => 'category',
 			'value' => $categoryValue,
-			'placeholder' => 'e.g., PhDStudent',
+			'placeholder' => $this->msg( 'semanticschemas-hierarchy-category-placeholder' )->text(),
+		] );
+
+		$form .= Html::element( 'label', [
+			'for' => 's2-hierarchy-compare-input',
+		], $this->msg( 'semanticschemas-hierarchy-compare-label' )->text() );
+
+		$form .= Html::element( 'input', [
+			'type' => 'text',
+			'id' => 's2-hierarchy-compare-input',
+			'name' => 'compare',
+			'value' => $compareValue,
 		] );
 
 		$form .= Html::element( 'button', [
@@ -1279,6 +1291,9 @@ class SpecialSemanticSchemas extends SpecialPage {
 	 * Provides a simple form to select a category and displays:
 	 * - Inheritance tree (parents, grandparents, etc.)
 	 * - Inherited properties with source category and required/optional status
+	 *
+	 * With a second category in ?compare=, shows a diff of both effective
+	 * schemas instead.
 	 */
 	private function showHierarchy(): void {
 		$output = $this->getOutput();
@@ -1286,7 +1301,8 @@ class SpecialSemanticSchemas extends SpecialPage {
 		$output->addModules( 'ext.semanticschemas.hierarchy' );
 
 		$categoryValue = $this->getRequest()->getText( 'category', '' );
-		$form = $this->renderHierarchyForm( $categoryValue );
+		$compareValue = $this->getRequest()->getText( 'compare', '' );
+		$form = $this->renderHierarchyForm( $categoryValue, $compareValue );
 
 		$containerAttrs = [
 			'id' => 's2-hierarchy-container',
@@ -1294,6 +1310,9 @@ class SpecialSemanticSchemas extends SpecialPage {
 		];
 		if ( $categoryValue !== '' ) {
 			$containerAttrs['data-category'] = $categoryValue;
+			if ( $compareValue !== '' ) {
+				$containerAttrs['data-compare'] = $compareValue;
+			}
 		}
 		$container = Html::rawElement( 'div', $containerAttrs, '' );
 
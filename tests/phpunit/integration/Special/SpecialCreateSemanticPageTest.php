@@ -2,6 +2,8 @@
 
 namespace MediaWiki\Extension\SemanticSchemas\Tests\Integration\Special;
 
+use MediaWiki\Extension\SemanticSchemas\Schema\CategoryModel;
+use MediaWiki\Extension\SemanticSchemas\Schema\FieldModel;
 use MediaWiki\Extension\SemanticSchemas\Store\PageCreator;
 use MediaWiki\Extension\SemanticSchemas\Store\WikiCategoryStore;
 use MediaWiki\Request\FauxRequest;
@@ -108,6 +110,64 @@ class SpecialCreateSemanticPageTest extends MediaWikiIntegrationTestCase {
 		$this->assertStringContainsString( 'CompositeForm', $html );
 	}
 
+	public function testMultiCategoryIgnoresValuesOfPropertiesNotInSelection(): void {
+		$cat1 = 'ValA' . uniqid();
+		$cat2 = 'ValB' . uniqid();
+		$this->createCategory( $cat1 );
+		$this->createCategory( $cat2 );
+
+		$pageName = 'ValPage' . uniqid();
+		$this->executeCreatePage( $pageName, [ $cat1, $cat2 ], [ 'Has unknown' . uniqid() => 'Alice' ] );
+
+		$title = Title::makeTitleSafe( NS_MAIN, $pageName );
+		$content = $this->getPageContent( $title );
+		$this->assertStringContainsString( '{{' . $cat1, $content );
+		$this->assertStringNotContainsString( 'Alice', $content,
+			'Values of properties no selected category has should be dropped' );
+	}
+
+	public function testMultiCategoryMergesEnteredValuesIntoTemplateCall(): void {
+		$cat1 = 'CostA' . uniqid();
+		$cat2 = 'CostB' . uniqid();
+		$this->useCategories( [
+			new CategoryModel( $cat1, [
+				'properties' => [ new FieldModel( 'Has cost', true, FieldModel::TYPE_PROPERTY ) ],
+			] ),
+			new CategoryModel( $cat2 ),
+		] );
+
+		$pageName = 'CostPage' . uniqid();
+		$this->executeCreatePage( $pageName, [ $cat1, $cat2 ], [ 'Has cost' => 'Cost $5 | {x} \\1' ] );
+
+		$content = $this->getPageContent( Title::makeTitleSafe( NS_MAIN, $pageName ) );
+		$this->assertStringContainsString(
+			"{{" . $cat1 . "\n|has_cost=Cost $5 &#124; &#123;x&#125; \\1\n}}",
+			$content,
+			'The value should be added to its category\'s call, escaped but otherwise unchanged'
+		);
+	}
+
+	public function testMultiCategoryKeepsLineBreaksOfEnteredValues(): void {
+		$cat1 = 'NotesA' . uniqid();
+		$cat2 = 'NotesB' . uniqid();
+		$this->useCategories( [
+			new CategoryModel( $cat1, [
+				'properties' => [ new FieldModel( 'Has notes', false, FieldModel::TYPE_PROPERTY ) ],
+			] ),
+			new CategoryModel( $cat2 ),
+		] );
+
+		$pageName = 'NotesPage' . uniqid();
+		$this->executeCreatePage( $pageName, [ $cat1, $cat2 ], [ 'Has notes' => "First line\r\nSecond line" ] );
+
+		$content = $this->getPageContent( Title::makeTitleSafe( NS_MAIN, $pageName ) );
+		$this->assertStringContainsString(
+			"{{" . $cat1 . "\n|has_notes=First line\nSecond line\n}}",
+			$content,
+			'Multi-line values should keep their line breaks'
+		);
+	}
+
 	/* =========================================================================
 	 * ADD CATEGORY TO EXISTING PAGE
 	 * ========================================================================= */
@@ -174,6 +234,54 @@ class SpecialCreateSemanticPageTest extends MediaWikiIntegrationTestCase {
 		$this->assertStringContainsString( '{{' . $cat2, $content );
 	}
 
+	/* =========================================================================
+	 * PRESETS
+	 * ========================================================================= */
+
+	public function testPresetsOnlyListCategoriesOfTheTree(): void {
+		$cat = 'PresetCat' . uniqid();
+		$missing = 'PresetMissing' . uniqid();
+		$this->createCategory( $cat );
+		$this->overrideConfigValue( 'SemanticSchemasCreatePresets', [
+			'Bundle' => [ $cat, $missing ],
+			'Nothing left' => [ $missing ],
+		] );
+
+		$html = $this->showForm()->getOutput()->getHTML();
+
+		$this->assertStringContainsString( 'data-categories="' . $cat . '"', $html,
+			'Categories not in the tree should be dropped from a preset' );
+		$this->assertStringNotContainsString( 'Nothing left', $html,
+			'Presets without any category in the tree should be dropped' );
+	}
+
+	public function testCategoriesCarryTheNamespaceUsedOnSubmit(): void {
+		$this->useCategories( [
+			new CategoryModel( 'NsProject' . uniqid(), [ 'targetNamespace' => 'Project' ] ),
+			new CategoryModel( 'NsUnknown' . uniqid(), [ 'targetNamespace' => 'No such namespace' ] ),
+		] );
+
+		$html = $this->showForm()->getOutput()->getHTML();
+
+		$this->assertStringContainsString( 'data-namespace-index="' . NS_PROJECT . '"', $html );
+		$this->assertStringContainsString( 'data-namespace-index="' . NS_MAIN . '"', $html,
+			'Names that are not canonical namespaces should fall back to main, as on submit' );
+	}
+
+	public function testCategoryGroupIdsDoNotDependOnEarlierRenders(): void {
+		$parent = 'GroupParent' . uniqid();
+		$this->useCategories( [
+			new CategoryModel( $parent ),
+			new CategoryModel( 'GroupChild' . uniqid(), [ 'parents' => [ $parent ] ] ),
+		] );
+
+		$this->showForm();
+		$html = $this->showForm()->getOutput()->getHTML();
+
+		$this->assertStringContainsString( 'id="s2-cat-group-0"', $html );
+		$this->assertStringNotContainsString( 's2-cat-group-1', $html );
+	}
+
 	/* =========================================================================
 	 * VALIDATION
 	 * ========================================================================= */
@@ -194,10 +302,80 @@ class SpecialCreateSemanticPageTest extends MediaWikiIntegrationTestCase {
 		$this->assertStringContainsString( 'cdx-message--error', $html );
 	}
 
+	public function testInvalidTokenShowsEditableFormAgain(): void {
+		$cat = 'TokenCat' . uniqid();
+		$this->createCategory( $cat );
+		$pageName = 'TokenPage' . uniqid();
+
+		$context = $this->executeSpecialPage( new FauxRequest( [
+			's2-action' => 'create-page',
+			's2-page-name' => $pageName,
+			's2-categories' => [ $cat ],
+			'wpEditToken' => 'invalid',
+		], true ) );
+
+		$html = $context->getOutput()->getHTML();
+		$this->assertStringContainsString( 'cdx-message--error', $html );
+		$this->assertStringContainsString( 'id="s2-page-name"', $html );
+		$this->assertStringNotContainsString( 'readonly', $html,
+			'The posted page name should not switch the form to add mode' );
+		$this->assertFalse( Title::makeTitleSafe( NS_MAIN, $pageName )->exists() );
+	}
+
+	public function testInvalidTokenKeepsAddMode(): void {
+		$cat = 'AddTokenCat' . uniqid();
+		$this->createCategory( $cat );
+		$pageName = 'AddTokenPage' . uniqid();
+
+		$context = $this->executeSpecialPage( new FauxRequest( [
+			's2-action' => 'create-page',
+			's2-add-mode' => '1',
+			's2-existing' => $cat,
+			's2-page-name' => $pageName,
+			's2-categories' => [ $cat ],
+			'wpEditToken' => 'invalid',
+		], true ) );
+
+		$html = $context->getOutput()->getHTML();
+		$this->assertStringContainsString( 'cdx-message--error', $html );
+		$this->assertStringContainsString( 'value="' . $pageName . '"', $html );
+		$this->assertStringContainsString( 'readonly', $html );
+	}
+
+	public function testFailedSubmissionShowsFormAgain(): void {
+		$cat = 'AgainCat' . uniqid();
+		$this->createCategory( $cat );
+
+		$context = $this->executeCreatePage( '', [ $cat ] );
+
+		$html = $context->getOutput()->getHTML();
+		$this->assertStringContainsString( 'cdx-message--error', $html );
+		$this->assertStringContainsString( 'id="s2-page-name"', $html,
+			'The form should be shown again so its draft can be restored' );
+	}
+
 	/* =========================================================================
 	 * Helpers
 	 * ========================================================================= */
 
+	/**
+	 * Serve the given categories instead of reading them from the wiki, for
+	 * schemas SMW would only store after its deferred updates.
+	 *
+	 * @param CategoryModel[] $categories
+	 */
+	private function useCategories( array $categories ): void {
+		$map = [];
+		foreach ( $categories as $category ) {
+			$map[$category->getName()] = $category;
+		}
+		$store = $this->createMock( WikiCategoryStore::class );
+		$store->method( 'getAllCategories' )->willReturn( $map );
+		$store->method( 'readCategory' )
+			->willReturnCallback( static fn ( $name ) => $map[$name] ?? null );
+		$this->setService( 'SemanticSchemas.WikiCategoryStore', $store );
+	}
+
 	private function createCategory( string $name, string $content = "" ): void {
 		$title = Title::makeTitle( NS_CATEGORY, $name );
 		$this->pageCreator->createOrUpdatePage( $title, $content, '' );
@@ -213,16 +391,29 @@ class SpecialCreateSemanticPageTest extends MediaWikiIntegrationTestCase {
 		);
 	}
 
-	private function executeCreatePage( string $pageName, array $categories ): RequestContext {
+	private function executeCreatePage(
+		string $pageName, array $categories, array $values = []
+	): RequestContext {
 		$user = static::getTestSysop()->getUser();
 
 		$request = new FauxRequest( [
 			's2-action' => 'create-page',
 			's2-page-name' => $pageName,
 			's2-categories' => $categories,
+			's2-values' => $values,
 			'wpEditToken' => $user->getEditToken(),
 		], true );
 
+		return $this->executeSpecialPage( $request );
+	}
+
+	private function showForm(): RequestContext {
+		return $this->executeSpecialPage( new FauxRequest( [] ) );
+	}
+
+	private function executeSpecialPage( FauxRequest $request ): RequestContext {
+		$user = static::getTestSysop()->getUser();
+
 		$page = $this->getServiceContainer()
 			->getSpecialPageFactory()
 			->getPage( 'CreateSemanticPage' );
@@ -0,0 +1,51 @@
+<?php
+
+namespace MediaWiki\Extension\SemanticSchemas\Tests\Unit\Parser;
+
+use MediaWiki\Extension\SemanticSchemas\Parser\DisplayParserFunctions;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * @covers \MediaWiki\Extension\SemanticSchemas\Parser\DisplayParserFunctions
+ */
+class DisplayParserFunctionsTest extends TestCase {
+
+	/**
+	 * @dataProvider provideHierarchyOptions
+	 */
+	public function testParseHierarchyOptions( array $named, array $expected ): void {
+		$this->assertSame( $expected, DisplayParserFunctions::parseHierarchyOptions( $named ) );
+	}
+
+	public static function provideHierarchyOptions(): array {
+		return [
+			'no options' => [ [], [] ],
+			'sections in canonical order' => [
+				[ 'sections' => 'Properties, tree' ],
+				[ 'data-sections' => 'tree,properties' ],
+			],
+			'unknown sections dropped' => [
+				[ 'sections' => 'tree,graph' ],
+				[ 'data-sections' => 'tree' ],
+			],
+			'no valid sections' => [ [ 'sections' => 'graph' ], [] ],
+			'tab' => [ [ 'tab' => 'Type' ], [ 'data-tab' => 'type' ] ],
+			'invalid tab' => [ [ 'tab' => 'datatype' ], [] ],
+			'collapse depth' => [ [ 'collapse' => '2' ], [ 'data-collapse-depth' => '2' ] ],
+			'collapse zero' => [ [ 'collapse' => '0' ], [ 'data-collapse-depth' => '0' ] ],
+			'negative collapse' => [ [ 'collapse' => '-1' ], [] ],
+			'compact yes' => [ [ 'compact' => 'yes' ], [ 'data-compact' => '1' ] ],
+			'compact true' => [ [ 'compact' => 'TRUE' ], [ 'data-compact' => '1' ] ],
+			'compact no' => [ [ 'compact' => 'no' ], [] ],
+			'all together' => [
+				[ 'sections' => 'tree', 'tab' => 'category', 'collapse' => '1', 'compact' => '1' ],
+				[
+					'data-sections' => 'tree',
+					'data-tab' => 'category',
+					'data-collapse-depth' => '1',
+					'data-compact' => '1',
+				],
+			],
+		];
+	}
+}
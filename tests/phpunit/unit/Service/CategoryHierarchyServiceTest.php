@@ -0,0 +1,504 @@
+<?php
+
+namespace MediaWiki\Extension\SemanticSchemas\Tests\Unit\Service;
+
+use MediaWiki\Extension\SemanticSchemas\Generator\PropertyInputMapper;
+use MediaWiki\Extension\SemanticSchemas\Schema\CategoryModel;
+use MediaWiki\Extension\SemanticSchemas\Schema\FieldModel;
+use MediaWiki\Extension\SemanticSchemas\Schema\PropertyModel;
+use MediaWiki\Extension\SemanticSchemas\Service\CategoryHierarchyService;
+use MediaWiki\Extension\SemanticSchemas\Store\WikiCategoryStore;
+use MediaWiki\Extension\SemanticSchemas\Store\WikiPropertyStore;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * @covers \MediaWiki\Extension\SemanticSchemas\Service\CategoryHierarchyService
+ */
+class CategoryHierarchyServiceTest extends TestCase {
+
+	/** @var string[] Property pages read through the store, in order */
+	private array $propertyReads = [];
+
+	/**
+	 * Diamond-shaped ontology:
+	 *
+	 *   Person
+	 *   ├── Faculty ──┐
+	 *   └── LabMember ┴── PI
+	 *                     └── SeniorPI
+	 *
+	 * PI makes LabMember's optional "Has lab" required; SeniorPI tries to
+	 * make Person's required "Has name" optional. "Has department" has no
+	 * property page.
+	 *
+	 * @param CategoryModel[] $extraCategories Added next to the diamond
+	 */
+	private function createService( array $extraCategories = [] ): CategoryHierarchyService {
+		$prop = static fn ( string $name, bool $required ) =>
+			new FieldModel( $name, $required, FieldModel::TYPE_PROPERTY );
+
+		$categories = [
+			'Person' => new CategoryModel( 'Person', [
+				'properties' => [ $prop( 'Has name', true ) ],
+			] ),
+			'Faculty' => new CategoryModel( 'Faculty', [
+				'parents' => [ 'Person' ],
+				'properties' => [ $prop( 'Has department', true ) ],
+			] ),
+			'LabMember' => new CategoryModel( 'LabMember', [
+				'parents' => [ 'Person' ],
+				'properties' => [ $prop( 'Has lab', false ) ],
+			] ),
+			'PI' => new CategoryModel( 'PI', [
+				'parents' => [ 'Faculty', 'LabMember' ],
+				'properties' => [ $prop( 'Has lab', true ) ],
+			] ),
+			'SeniorPI' => new CategoryModel( 'SeniorPI', [
+				'parents' => [ 'PI' ],
+				'properties' => [ $prop( 'Has name', false ) ],
+			] ),
+		] + $extraCategories;
+
+		$properties = [
+			'Has name' => new PropertyModel( 'Has name', [
+				'datatype' => 'Text',
+				'description' => 'Full name',
+			] ),
+			'Has lab' => new PropertyModel( 'Has lab', [
+				'datatype' => 'Page',
+				'allowedCategory' => 'Lab',
+				'allowsMultipleValues' => true,
+			] ),
+		];
+
+		$store = $this->createMock( WikiCategoryStore::class );
+		$store->method( 'getAllCategories' )->willReturn( $categories );
+
+		$propertyStore = $this->createMock( WikiPropertyStore::class );
+		$propertyStore->method( 'readProperty' )
+			->willReturnCallback( function ( $name ) use ( $properties ) {
+				$this->propertyReads[] = $name;
+				return $properties[$name] ?? null;
+			} );
+
+		return new CategoryHierarchyService( $store, $propertyStore, new PropertyInputMapper() );
+	}
+
+	/* =========================================================================
+	 * ANCESTORS
+	 * ========================================================================= */
+
+	public function testNodesContainEachAncestorOnce(): void {
+		$data = $this->createService()->getHierarchyData( 'PI' );
+
+		$this->assertSame( 'Category:PI', $data['rootCategory'] );
+		$this->assertEqualsCanonicalizing(
+			[ 'Category:PI', 'Category:Faculty', 'Category:LabMember', 'Category:Person' ],
+			array_keys( $data['nodes'] )
+		);
+		$this->assertSame(
+			[ 'Category:Faculty', 'Category:LabMember' ],
+			$data['nodes']['Category:PI']['parents']
+		);
+	}
+
+	public function testUnknownCategoryReturnsEmptyResult(): void {
+		$data = $this->createService()->getHierarchyData( 'Nope' );
+
+		$this->assertSame( [], $data['nodes'] );
+		$this->assertSame( [], $data['descendants'] );
+	}
+
+	/* =========================================================================
+	 * DESCENDANTS
+	 * ========================================================================= */
+
+	public function testDescendantsListDirectChildren(): void {
+		$data = $this->createService()->getHierarchyData( 'Person' );
+
+		$this->assertSame(
+			[ 'Category:Faculty', 'Category:LabMember' ],
+			$data['descendants']['Category:Person']['children']
+		);
+	}
+
+	public function testDescendantsIncludeTransitiveChildrenOnce(): void {
+		$data = $this->createService()->getHierarchyData( 'Person' );
+
+		$this->assertEqualsCanonicalizing(
+			[
+				'Category:Person',
+				'Category:Faculty',
+				'Category:LabMember',
+				'Category:PI',
+				'Category:SeniorPI',
+			],
+			array_keys( $data['descendants'] )
+		);
+		$this->assertSame(
+			[ 'Category:SeniorPI' ],
+			$data['descendants']['Category:PI']['children']
+		);
+	}
+
+	public function testLeafCategoryHasNoChildren(): void {
+		$data = $this->createService()->getHierarchyData( 'SeniorPI' );
+
+		$this->assertSame(
+			[ 'Category:SeniorPI' => [ 'title' => 'Category:SeniorPI', 'children' => [] ] ],
+			$data['descendants']
+		);
+	}
+
+	/* =========================================================================
+	 * DEPTH LIMIT
+	 * ========================================================================= */
+
+	public function testDepthLimitsAncestorsAndFlagsFrontier(): void {
+		$data = $this->createService()->getHierarchyData( 'SeniorPI', 1 );
+
+		$this->assertEqualsCanonicalizing(
+			[ 'Category:SeniorPI', 'Category:PI' ],
+			array_keys( $data['nodes'] )
+		);
+		$this->assertArrayNotHasKey( 'hasMore', $data['nodes']['Category:SeniorPI'] );
+		$this->assertTrue( $data['nodes']['Category:PI']['hasMore'] );
+	}
+
+	public function testDepthLimitsDescendants(): void {
+		$data = $this->createService()->getHierarchyData( 'Person', 1 );
+
+		$this->assertEqualsCanonicalizing(
+			[ 'Category:Person', 'Category:Faculty', 'Category:LabMember' ],
+			array_keys( $data['descendants'] )
+		);
+		$this->assertTrue( $data['descendants']['Category:Faculty']['hasMore'] );
+	}
+
+	public function testDepthCoveringWholeGraphFlagsNothing(): void {
+		$data = $this->createService()->getHierarchyData( 'SeniorPI', 5 );
+
+		$this->assertCount( 5, $data['nodes'] );
+		foreach ( $data['nodes'] as $node ) {
+			$this->assertArrayNotHasKey( 'hasMore', $node );
+		}
+	}
+
+	public function testZeroDepthReturnsOnlyRoot(): void {
+		$data = $this->createService()->getHierarchyData( 'PI', 0 );
+
+		$this->assertSame( [ 'Category:PI' ], array_keys( $data['nodes'] ) );
+		$this->assertTrue( $data['nodes']['Category:PI']['hasMore'] );
+	}
+
+	/* =========================================================================
+	 * BATCH
+	 * ========================================================================= */
+
+	public function testBatchKeysPayloadsByRequestedName(): void {
+		$data = $this->createService()->getBatchHierarchyData( [ 'Faculty', 'LabMember' ] );
+
+		$this->assertSame( [ 'Faculty', 'LabMember' ], array_keys( $data['categories'] ) );
+		$this->assertSame( 'Category:Faculty', $data['categories']['Faculty']['rootCategory'] );
+		$this->assertArrayNotHasKey( 'nodes', $data['categories']['Faculty'] );
+		$this->assertEqualsCanonicalizing(
+			[ 'Property:Has department', 'Property:Has name' ],
+			array_column( $data['categories']['Faculty']['inheritedProperties'], 'propertyTitle' )
+		);
+	}
+
+	public function testBatchSharesOneNodesMap(): void {
+		$data = $this->createService()->getBatchHierarchyData( [ 'Faculty', 'LabMember' ] );
+
+		$this->assertEqualsCanonicalizing(
+			[ 'Category:Faculty', 'Category:LabMember', 'Category:Person' ],
+			array_keys( $data['nodes'] )
+		);
+		$this->assertArrayHasKey( 'Category:PI', $data['descendants'] );
+	}
+
+	public function testBatchPrefersExpandedNodesOverCutOffOnes(): void {
+		$data = $this->createService()->getBatchHierarchyData( [ 'SeniorPI', 'PI' ], 1 );
+
+		$this->assertEqualsCanonicalizing(
+			[ 'Category:SeniorPI', 'Category:PI', 'Category:Faculty', 'Category:LabMember' ],
+			array_keys( $data['nodes'] )
+		);
+		$this->assertArrayNotHasKey( 'hasMore', $data['nodes']['Category:PI'] );
+		$this->assertTrue( $data['nodes']['Category:Faculty']['hasMore'] );
+	}
+
+	public function testBatchIncludesUnknownCategoriesAsEmptyEntries(): void {
+		$data = $this->createService()->getBatchHierarchyData( [ 'Nope', 'Person' ] );
+
+		$this->assertSame( [], $data['categories']['Nope']['inheritedProperties'] );
+		$this->assertArrayNotHasKey( 'Category:Nope', $data['nodes'] );
+	}
+
+	/* =========================================================================
+	 * INHERITED PROPERTIES
+	 * ========================================================================= */
+
+	public function testInheritedPropertiesAreDeduplicated(): void {
+		$data = $this->createService()->getHierarchyData( 'PI' );
+
+		$titles = array_column( $data['inheritedProperties'], 'propertyTitle' );
+		$this->assertEqualsCanonicalizing(
+			[ 'Property:Has department', 'Property:Has lab', 'Property:Has name' ],
+			$titles
+		);
+	}
+
+	public function testInheritedPropertiesIncludePropertyDetails(): void {
+		$data = $this->createService()->getHierarchyData( 'PI' );
+		$byTitle = array_column( $data['inheritedProperties'], null, 'propertyTitle' );
+
+		$this->assertSame( 'Text', $byTitle['Property:Has name']['datatype'] );
+		$this->assertSame( 'Full name', $byTitle['Property:Has name']['description'] );
+		$this->assertSame( 'text', $byTitle['Property:Has name']['inputType'] );
+		$this->assertSame( 'Name', $byTitle['Property:Has name']['label'] );
+		$this->assertFalse( $byTitle['Property:Has name']['hidden'] );
+		$this->assertArrayNotHasKey( 'allowedCategory', $byTitle['Property:Has name'] );
+
+		$this->assertSame( 'Lab', $byTitle['Property:Has lab']['allowedCategory'] );
+		$this->assertTrue( $byTitle['Property:Has lab']['allowsMultipleValues'] );
+		$this->assertSame( 'tokens', $byTitle['Property:Has lab']['inputType'] );
+	}
+
+	public function testMissingPropertyPageHasNoDetails(): void {
+		$data = $this->createService()->getHierarchyData( 'Faculty' );
+		$byTitle = array_column( $data['inheritedProperties'], null, 'propertyTitle' );
+
+		$this->assertSame(
+			[ 'propertyTitle', 'sourceCategory', 'required', 'declarations' ],
+			array_keys( $byTitle['Property:Has department'] )
+		);
+	}
+
+	/* =========================================================================
+	 * OVERRIDES
+	 * ========================================================================= */
+
+	public function testSingleDeclarationIsListed(): void {
+		$data = $this->createService()->getHierarchyData( 'Faculty' );
+		$byTitle = array_column( $data['inheritedProperties'], null, 'propertyTitle' );
+
+		$this->assertSame(
+			[ [ 'sourceCategory' => 'Category:Faculty', 'required' => true ] ],
+			$byTitle['Property:Has department']['declarations']
+		);
+	}
+
+	public function testPromotionToRequiredWinsAtChild(): void {
+		$data = $this->createService()->getHierarchyData( 'PI' );
+		$byTitle = array_column( $data['inheritedProperties'], null, 'propertyTitle' );
+
+		$this->assertSame( 'Category:PI', $byTitle['Property:Has lab']['sourceCategory'] );
+		$this->assertTrue( $byTitle['Property:Has lab']['required'] );
+		$this->assertSame(
+			[
+				[ 'sourceCategory' => 'Category:PI', 'required' => true ],
+				[ 'sourceCategory' => 'Category:LabMember', 'required' => false ],
+			],
+			$byTitle['Property:Has lab']['declarations']
+		);
+	}
+
+	public function testDemotionToOptionalLosesToAncestor(): void {
+		$data = $this->createService()->getHierarchyData( 'SeniorPI' );
+		$byTitle = array_column( $data['inheritedProperties'], null, 'propertyTitle' );
+
+		$this->assertSame( 'Category:Person', $byTitle['Property:Has name']['sourceCategory'] );
+		$this->assertTrue( $byTitle['Property:Has name']['required'] );
+		$this->assertCount( 2, $byTitle['Property:Has name']['declarations'] );
+	}
+
+	public function testVirtualHierarchyListsSharedAncestorOnce(): void {
+		$data = $this->createService()->getVirtualHierarchyData( 'New', [ 'Faculty', 'LabMember' ] );
+		$byTitle = array_column( $data['inheritedProperties'], null, 'propertyTitle' );
+
+		$this->assertSame(
+			[ [ 'sourceCategory' => 'Category:Person', 'required' => true ] ],
+			$byTitle['Property:Has name']['declarations']
+		);
+	}
+
+	public function testVirtualHierarchyUsesGivenParents(): void {
+		$data = $this->createService()->getVirtualHierarchyData( 'New', [ 'Faculty', 'Missing' ] );
+
+		$this->assertSame( [ 'Category:Faculty' ], $data['nodes']['Category:New']['parents'] );
+		$this->assertArrayHasKey( 'Category:Person', $data['nodes'] );
+	}
+
+	/* =========================================================================
+	 * VIRTUAL CATEGORY VALIDATION
+	 * ========================================================================= */
+
+	private function validationCodes( array $data ): array {
+		return array_column( $data['validation'], 'code' );
+	}
+
+	public function testValidVirtualCategoryHasNoProblems(): void {
+		$data = $this->createService()->getVirtualHierarchyData( 'New', [ 'LabMember' ] );
+
+		$this->assertSame( [], $data['validation'] );
+	}
+
+	public function testMissingParentIsReported(): void {
+		$data = $this->createService()->getVirtualHierarchyData( 'New', [ 'LabMember', 'Ghost' ] );
+
+		$this->assertSame(
+			[ [ 'code' => 'missing-parent', 'severity' => 'warning', 'params' => [ 'Ghost' ] ] ],
+			$data['validation']
+		);
+	}
+
+	public function testEachPropertyPageIsReadOncePerPayload(): void {
+		$data = $this->createService()->getVirtualHierarchyData( 'New', [ 'PI' ] );
+
+		$this->assertSame( [ 'missing-property' ], $this->validationCodes( $data ) );
+		$this->assertNotEmpty( $this->propertyReads );
+		$this->assertSame( array_values( array_unique( $this->propertyReads ) ), $this->propertyReads );
+	}
+
+	public function testSelfParentIsReported(): void {
+		$data = $this->createService()->getVirtualHierarchyData( 'PI', [ 'PI' ] );
+
+		$this->assertSame( [ 'self-parent' ], $this->validationCodes( $data ) );
+	}
+
+	public function testInvalidNameIsReportedWithoutFailing(): void {
+		$data = $this->createService()->getVirtualHierarchyData( 'Bad|Name', [ 'Faculty', 'LabMember' ] );
+
+		$this->assertSame( [ 'invalid-name' ], $this->validationCodes( $data ) );
+		$this->assertNotEmpty( $data['inheritedProperties'] );
+	}
+
+	public function testCycleThroughExistingDescendantIsReported(): void {
+		// Re-parenting Person under PI, which already inherits from Person
+		$data = $this->createService()->getVirtualHierarchyData( 'Person', [ 'PI' ] );
+
+		$this->assertSame( 'cycle', $data['validation'][0]['code'] );
+		$this->assertSame( 'error', $data['validation'][0]['severity'] );
+		$this->assertSame( [ 'PI', 'Person' ], $data['validation'][0]['params'] );
+	}
+
+	public function testCycleAboveParentIsReportedWithoutFailing(): void {
+		$service = $this->createService( [
+			'LoopA' => new CategoryModel( 'LoopA', [ 'parents' => [ 'LoopB' ] ] ),
+			'LoopB' => new CategoryModel( 'LoopB', [ 'parents' => [ 'LoopA' ] ] ),
+			'Looped' => new CategoryModel( 'Looped', [ 'parents' => [ 'LoopA' ] ] ),
+		] );
+		$data = $service->getVirtualHierarchyData( 'New', [ 'LabMember', 'Looped' ] );
+
+		$this->assertSame(
+			[ [ 'code' => 'cycle', 'severity' => 'error', 'params' => [ 'Looped', 'Looped' ] ] ],
+			$data['validation']
+		);
+		// The broken parent is left out; the valid one is still resolved
+		$this->assertSame( [ 'Category:LabMember' ], $data['nodes']['Category:New']['parents'] );
+		$this->assertContains(
+			'Property:Has lab',
+			array_column( $data['inheritedProperties'], 'propertyTitle' )
+		);
+	}
+
+	public function testInconsistentParentOrderIsReported(): void {
+		$data = $this->createService()->getVirtualHierarchyData( 'New', [ 'Person', 'PI' ] );
+
+		$this->assertContains( 'inconsistent-order', $this->validationCodes( $data ) );
+	}
+
+	public function testConflictingTargetNamespacesAreReported(): void {
+		$service = $this->createService( [
+			'Doc' => new CategoryModel( 'Doc', [ 'targetNamespace' => 'Doc' ] ),
+			'Note' => new CategoryModel( 'Note', [ 'targetNamespace' => 'Note' ] ),
+		] );
+		$data = $service->getVirtualHierarchyData( 'New', [ 'Doc', 'Note' ] );
+
+		$this->assertSame(
+			[ [
+				'code' => 'namespace-conflict',
+				'severity' => 'warning',
+				'params' => [ 'Doc (Doc)', 'Note (Note)' ],
+			] ],
+			$data['validation']
+		);
+	}
+
+	public function testMissingPropertyPageIsReportedOnce(): void {
+		$data = $this->createService()->getVirtualHierarchyData( 'New', [ 'PI' ] );
+
+		$this->assertSame(
+			[ [
+				'code' => 'missing-property',
+				'severity' => 'warning',
+				'params' => [ 'Has department', 'Faculty' ],
+			] ],
+			$data['validation']
+		);
+	}
+
+	/* =========================================================================
+	 * RE-PARENTING IMPACT
+	 * ========================================================================= */
+
+	public function testNewCategoryHasNoImpact(): void {
+		$data = $this->createService()->getVirtualHierarchyData( 'New', [ 'PI' ] );
+
+		$this->assertArrayNotHasKey( 'impact', $data );
+	}
+
+	public function testUnchangedParentsHaveNoImpact(): void {
+		$data = $this->createService()->getVirtualHierarchyData( 'PI', [ 'Faculty', 'LabMember' ] );
+
+		$this->assertSame( [], $data['impact'] );
+	}
+
+	public function testReparentingListsChangedDescendants(): void {
+		$service = $this->createService( [
+			'Doc' => new CategoryModel( 'Doc', [
+				'properties' => [ new FieldModel( 'Has doi', false, FieldModel::TYPE_PROPERTY ) ],
+			] ),
+			'Postdoc' => new CategoryModel( 'Postdoc', [ 'parents' => [ 'LabMember' ] ] ),
+		] );
+		$data = $service->getVirtualHierarchyData( 'LabMember', [ 'Doc' ] );
+
+		// PI still inherits Has name through Faculty
+		$this->assertSame(
+			[
+				[
+					'category' => 'Category:PI',
+					'addedProperties' => [ 'Property:Has doi' ],
+					'removedProperties' => [],
+					'addedSubobjects' => [],
+					'removedSubobjects' => [],
+				],
+				[
+					'category' => 'Category:Postdoc',
+					'addedProperties' => [ 'Property:Has doi' ],
+					'removedProperties' => [ 'Property:Has name' ],
+					'addedSubobjects' => [],
+					'removedSubobjects' => [],
+				],
+				[
+					'category' => 'Category:SeniorPI',
+					'addedProperties' => [ 'Property:Has doi' ],
+					'removedProperties' => [],
+					'addedSubobjects' => [],
+					'removedSubobjects' => [],
+				],
+			],
+			$data['impact']
+		);
+	}
+
+	public function testCyclicReparentingFlagsDescendantsUnresolvable(): void {
+		$data = $this->createService()->getVirtualHierarchyData( 'Person', [ 'PI' ] );
+
+		$this->assertNotEmpty( $data['impact'] );
+		foreach ( $data['impact'] as $entry ) {
+			$this->assertTrue( $entry['unresolvable'] );
+		}
+	}
+}